@@ -6,34 +6,414 @@
 // Application state
 const AppState = {
   currentDecade: null,
-  decades: [
-    { id: '1950s', label: '1950s', start: 1950, end: 1959 },
-    { id: '1960s', label: '1960s', start: 1960, end: 1969 },
-    { id: '1970s', label: '1970s', start: 1970, end: 1979 },
-    { id: '1980s', label: '1980s', start: 1980, end: 1989 },
-    { id: '1990s', label: '1990s', start: 1990, end: 1999 },
-    { id: '2000s', label: '2000s', start: 2000, end: 2009 },
-    { id: '2010s', label: '2010s', start: 2010, end: 2019 },
-    { id: '2020s', label: '2020s', start: 2020, end: 2029 }
-  ],
-  contentData: {} // Will be populated with actual content later
+  currentItemIndex: 0,
+  attractMode: false,
+  decades: [], // Derived from the content (see deriveDecades); placeholder decades until it loads
+  eras: null, // Era definitions from config.json (null: one era per decade)
+  view: 'decades', // 'decades' (selector buttons) or 'timeline' (year strip)
+  accessibilityMode: false, // Controls in the lower band, larger text, higher contrast
+  language: 'en',
+  contentData: {}, // Populated from content.json at startup
+  contentVersion: null,
+  quiz: null, // { decadeId, questions, index, score, answered } while a decade quiz is open
+  search: null, // { query, filters: { category: tag key } } while the search panel is open
+  config: null // Populated from config.json at startup (merged over DEFAULT_CONFIG)
+};
+
+/**
+ * Default kiosk configuration, overridden per venue by config.json
+ */
+const DEFAULT_CONFIG = {
+  admin: {
+    // Staff PIN for the maintenance panel (digits, deterrent only, not a security boundary).
+    // Each venue sets its own in config.json; with no PIN the panel can't be opened.
+    pin: null,
+    longPressSeconds: 3 // Hold time on the top-left corner that opens the PIN pad
+  },
+  i18n: {
+    defaultLanguage: 'en' // Venue language, restored on idle reset
+  },
+  eras: {
+    // Ordered list of { id, label, start, end, color, icon } replacing the decades;
+    // content.json entries are then keyed by era ID. null: one era per decade.
+    definitions: null
+  },
+  idle: {
+    timeoutSeconds: 90, // Inactivity before the "Are you still there?" prompt
+    countdownSeconds: 15 // Countdown shown before returning to the intro screen
+  },
+  attract: {
+    enabled: true,
+    startDelaySeconds: 30, // Time on the intro screen before the tour starts
+    dwellSeconds: 10, // Time spent on each image decade
+    maxVideoSeconds: 60, // Upper bound for video decades (advances earlier on 'ended')
+    order: 'sequential' // 'sequential', 'random' or an array of decade IDs
+  },
+  updates: {
+    applyWhenIdle: true, // Apply downloaded updates once nobody is using the kiosk
+    maintenanceStart: '02:00', // Local time window in which updates apply regardless;
+    maintenanceEnd: '05:00', // set either to null to disable the window
+    pollIntervalSeconds: 60, // Base time between version checks
+    pollJitter: 0.2, // Each interval varies by ±20% so a fleet doesn't poll in lockstep
+    maxBackoffSeconds: 900, // Cap for the exponential backoff after failed checks
+    reconnectSpreadSeconds: 30 // Checks after startup or reconnecting are spread over this window
+  },
+  narration: {
+    enabled: true, // Show the "Listen" button (recorded narration, or speech synthesis)
+    volume: 0.8, // Narration volume (0-1)
+    maxVolume: 0.9, // Upper limit for the volume, whatever the content or device asks for
+    speechRate: 1 // Speech synthesis rate when there is no recording
+  },
+  telemetry: {
+    enabled: false,
+    endpoint: null, // POST URL for event batches (tools/telemetry-server.js for local testing)
+    kioskId: null, // Defaults to a random ID generated once per device
+    uploadIntervalSeconds: 60, // How often queued events are uploaded
+    heartbeatSeconds: 300, // Upload at least this often even with no events
+    batchSize: 100, // Events per upload request
+    maxStoredEvents: 5000 // Oldest events are dropped beyond this while offline
+  }
+};
+
+// Content manifest schema version supported by this build
+const CONTENT_SCHEMA_VERSION = 1;
+
+// Supported media types for decade entries
+const MEDIA_TYPES = ['image', 'video'];
+
+/**
+ * Schema for a single content item in content.json
+ * Each decade holds an ordered list of items (moments) shown as a slideshow
+ * Each field maps to its expected type and whether it is required
+ * 'text' fields are either a plain string or an object keyed by language ({ en, fr })
+ */
+const CONTENT_ITEM_SCHEMA = {
+  title: { type: 'text', required: true },
+  description: { type: 'text', required: true },
+  mediaType: { type: 'string', required: true, oneOf: MEDIA_TYPES },
+  media: { type: 'string', required: true },
+  year: { type: 'number', required: false }, // Places the item on the timeline
+  poster: { type: 'string', required: false }, // Still image of a video item, required for videos
+  alt: { type: 'text', required: false },
+  caption: { type: 'text', required: false },
+  narration: { type: 'text', required: false }, // Recorded narration, an audio path per language
+  captions: { type: 'text', required: false }, // WebVTT captions for a video, a path per language
+  tags: { type: 'object', required: false } // Search filters, see SEARCH_TAG_CATEGORIES
+};
+
+/**
+ * Tag categories of a content item's "tags", each a list of text values, e.g.
+ * "tags": { "sport": [{ "en": "Swimming", "fr": "Natation" }], "athlete": ["Marilyn Bell"] }
+ * Values are matched across items by their English (fallback language) text
+ */
+const SEARCH_TAG_CATEGORIES = ['sport', 'athlete', 'team', 'province', 'gender'];
+
+/**
+ * Schema for the optional "intro" section of content.json (the attract-screen video)
+ */
+const INTRO_SCHEMA = {
+  captions: { type: 'text', required: false } // WebVTT captions for the intro video, a path per language
+};
+
+/**
+ * Schema for an era definition in config.json (eras.definitions)
+ * start and end are inclusive years; color tints the selector button (and is the
+ * accent if the era's content has no theme), icon is an image path
+ */
+const ERA_SCHEMA = {
+  id: { type: 'string', required: true },
+  label: { type: 'text', required: true },
+  start: { type: 'number', required: true },
+  end: { type: 'number', required: true },
+  color: { type: 'string', required: false },
+  icon: { type: 'string', required: false }
+};
+
+/**
+ * Schema for a decade's visual theme in content.json ("theme" next to "items")
+ * accent and background are CSS colours (background may also be a gradient),
+ * backgroundImage is an image path drawn over the background, font is a CSS font-family list
+ */
+const ERA_THEME_SCHEMA = {
+  accent: { type: 'string', required: false },
+  background: { type: 'string', required: false },
+  backgroundImage: { type: 'string', required: false },
+  font: { type: 'string', required: false }
+};
+
+// CSS custom properties set on #main-content for each theme field
+const ERA_THEME_PROPERTIES = {
+  accent: '--era-accent',
+  background: '--era-background',
+  backgroundImage: '--era-background-image',
+  font: '--era-font'
+};
+
+/**
+ * Schema for a quiz question in a decade's "quiz" list
+ * "choices" (a list of texts) and "answer" (index of the right choice) are checked by validateQuiz
+ */
+const QUIZ_QUESTION_SCHEMA = {
+  question: { type: 'text', required: true },
+  answer: { type: 'number', required: true },
+  explanation: { type: 'text', required: false }
+};
+
+// Interface languages, in toggle order
+const SUPPORTED_LANGUAGES = ['en', 'fr'];
+
+// Language used when a string or content field is missing in the active language
+const FALLBACK_LANGUAGE = 'en';
+
+// Language names shown on the toggle (always in their own language)
+const LANGUAGE_NAMES = {
+  en: 'English',
+  fr: 'Français'
+};
+
+/**
+ * Interface strings per language
+ * Placeholders in braces ({decade}) are filled in by t()
+ */
+const STRINGS = {
+  en: {
+    'app.title': 'Canada Sports Through the Decades',
+    'intro.title': 'Canada Sports Through the Decades',
+    'intro.subtitle': 'Explore sports from {from} to today',
+    'intro.subtitleRange': 'Explore sports from {from} to {to}',
+    'intro.start': 'Begin Journey',
+    'main.title': 'Sports History',
+    'content.selectDecade': 'Select a Decade',
+    'content.selectDecadeHint': 'Touch a decade button above to explore Canadian sports history',
+    'content.defaultAlt': 'Sports history',
+    'content.placeholderTitle': '{decade} - Canadian Sports',
+    'content.placeholderDescription': 'Canadian sports during the {decade}. Historical content will be displayed here.',
+    'decade.label': '{year}s',
+    'decade.view': 'View {decade}',
+    'item.position': 'Item {index} of {count}: {title}',
+    'nav.previous': 'Previous decade',
+    'nav.next': 'Next decade',
+    'selector.previousPage': 'Previous eras',
+    'selector.nextPage': 'More eras',
+    'view.timeline': 'Timeline',
+    'view.decades': 'Decades',
+    'timeline.label': 'Timeline',
+    'timeline.event': '{year}: {title}',
+    'timeline.count': '{count} events',
+    'timeline.cluster': '{count} events, {years}',
+    'idle.title': 'Are you still there?',
+    'idle.message': 'Returning to the start in {seconds} seconds',
+    'idle.continue': 'I\'m still here',
+    'attract.hint': 'Touch to explore',
+    'language.toggle': 'Language',
+    'accessibility.toggle': 'Accessibility',
+    'announce.item': '{decade}: {title}',
+    'lightbox.label': 'Enlarged media',
+    'lightbox.close': 'Close',
+    'lightbox.zoomIn': 'Zoom in',
+    'lightbox.zoomOut': 'Zoom out',
+    'lightbox.play': 'Play',
+    'lightbox.pause': 'Pause',
+    'lightbox.position': 'Position',
+    'search.open': 'Search',
+    'search.label': 'Search the collection',
+    'search.placeholder': 'Type a name, sport or team',
+    'search.clear': 'Clear',
+    'search.close': 'Close',
+    'search.space': 'Space',
+    'search.backspace': 'Delete',
+    'search.results': '{count} results',
+    'search.resultsOne': '1 result',
+    'search.noResults': 'Nothing found. Try another word or remove a filter.',
+    'search.category.sport': 'Sport',
+    'search.category.athlete': 'Athlete',
+    'search.category.team': 'Team',
+    'search.category.province': 'Province',
+    'search.category.gender': 'Gender',
+    'narration.listen': 'Listen',
+    'narration.stop': 'Stop',
+    'quiz.start': 'Take the quiz',
+    'quiz.progress': 'Question {index} of {count}',
+    'quiz.correct': 'Correct!',
+    'quiz.incorrect': 'Not quite. The answer is: {answer}',
+    'quiz.next': 'Next question',
+    'quiz.finish': 'See my score',
+    'quiz.scoreTitle': 'You scored {score} out of {count}',
+    'quiz.scorePerfect': 'A perfect score!',
+    'quiz.scoreMessage': 'Explore the decade again and try to beat your score.',
+    'quiz.retry': 'Try again',
+    'quiz.close': 'Back to the decade'
+  },
+  fr: {
+    'app.title': 'Le sport au Canada à travers les décennies',
+    'intro.title': 'Le sport au Canada à travers les décennies',
+    'intro.subtitle': 'Explorez le sport de {from} à aujourd\'hui',
+    'intro.subtitleRange': 'Explorez le sport de {from} à {to}',
+    'intro.start': 'Commencer le voyage',
+    'main.title': 'Histoire du sport',
+    'content.selectDecade': 'Choisissez une décennie',
+    'content.selectDecadeHint': 'Touchez une décennie ci-dessus pour explorer l\'histoire du sport canadien',
+    'content.defaultAlt': 'Histoire du sport',
+    'content.placeholderTitle': '{decade} - Le sport canadien',
+    'content.placeholderDescription': 'Le sport canadien : {decade}. Le contenu historique sera affiché ici.',
+    'decade.label': 'Années {year}',
+    'decade.view': 'Explorer : {decade}',
+    'item.position': 'Élément {index} sur {count} : {title}',
+    'nav.previous': 'Décennie précédente',
+    'nav.next': 'Décennie suivante',
+    'selector.previousPage': 'Époques précédentes',
+    'selector.nextPage': 'Autres époques',
+    'view.timeline': 'Frise chronologique',
+    'view.decades': 'Décennies',
+    'timeline.label': 'Frise chronologique',
+    'timeline.event': '{year} : {title}',
+    'timeline.count': '{count} événements',
+    'timeline.cluster': '{count} événements, {years}',
+    'idle.title': 'Êtes-vous toujours là?',
+    'idle.message': 'Retour à l\'accueil dans {seconds} secondes',
+    'idle.continue': 'Je suis toujours là',
+    'attract.hint': 'Touchez pour explorer',
+    'language.toggle': 'Langue',
+    'accessibility.toggle': 'Accessibilité',
+    'announce.item': '{decade} : {title}',
+    'lightbox.label': 'Média agrandi',
+    'lightbox.close': 'Fermer',
+    'lightbox.zoomIn': 'Agrandir',
+    'lightbox.zoomOut': 'Réduire',
+    'lightbox.play': 'Lecture',
+    'lightbox.pause': 'Pause',
+    'lightbox.position': 'Position',
+    'search.open': 'Rechercher',
+    'search.label': 'Rechercher dans la collection',
+    'search.placeholder': 'Tapez un nom, un sport ou une équipe',
+    'search.clear': 'Effacer',
+    'search.close': 'Fermer',
+    'search.space': 'Espace',
+    'search.backspace': 'Supprimer',
+    'search.results': '{count} résultats',
+    'search.resultsOne': '1 résultat',
+    'search.noResults': 'Aucun résultat. Essayez un autre mot ou retirez un filtre.',
+    'search.category.sport': 'Sport',
+    'search.category.athlete': 'Athlète',
+    'search.category.team': 'Équipe',
+    'search.category.province': 'Province',
+    'search.category.gender': 'Genre',
+    'narration.listen': 'Écouter',
+    'narration.stop': 'Arrêter',
+    'quiz.start': 'Répondre au quiz',
+    'quiz.progress': 'Question {index} sur {count}',
+    'quiz.correct': 'Bonne réponse!',
+    'quiz.incorrect': 'Pas tout à fait. La réponse est : {answer}',
+    'quiz.next': 'Question suivante',
+    'quiz.finish': 'Voir mon score',
+    'quiz.scoreTitle': 'Votre score : {score} sur {count}',
+    'quiz.scorePerfect': 'Un score parfait!',
+    'quiz.scoreMessage': 'Explorez de nouveau la décennie et tentez d\'améliorer votre score.',
+    'quiz.retry': 'Réessayer',
+    'quiz.close': 'Retour à la décennie'
+  }
 };
 
 // DOM elements cache
 const Elements = {
+  app: null,
   introContainer: null,
   mainContent: null,
+  eraBackdropPrevious: null,
   startBtn: null,
+  introSubtitle: null,
+  introAccessibilityBtn: null,
+  appHeader: null,
+  lowerBand: null,
+  accessibilityBtn: null,
+  announcer: null,
+  decadeSelectorBar: null,
   decadeSelector: null,
+  decadePagePrev: null,
+  decadePageNext: null,
+  timeline: null,
+  timelinePopover: null,
+  viewToggle: null,
   prevBtn: null,
   nextBtn: null,
   eraTitle: null,
   eraDescription: null,
   contentImage: null,
   contentVideo: null,
-  introVideo: null
+  contentDisplay: null,
+  mediaCaption: null,
+  itemIndicators: null,
+  listenBtn: null,
+  narrationAudio: null,
+  searchBtn: null,
+  searchPanel: null,
+  searchQuery: null,
+  searchClearBtn: null,
+  searchCloseBtn: null,
+  searchFilters: null,
+  searchCount: null,
+  searchResults: null,
+  searchKeyboard: null,
+  lightbox: null,
+  lightboxStage: null,
+  lightboxImage: null,
+  lightboxVideo: null,
+  lightboxZoomControls: null,
+  lightboxZoomInBtn: null,
+  lightboxZoomOutBtn: null,
+  lightboxVideoControls: null,
+  lightboxPlayBtn: null,
+  lightboxScrub: null,
+  lightboxTime: null,
+  lightboxCloseBtn: null,
+  quizBtn: null,
+  quizPanel: null,
+  quizProgress: null,
+  quizQuestion: null,
+  quizChoices: null,
+  quizFeedback: null,
+  quizNextBtn: null,
+  quizRetryBtn: null,
+  quizCloseBtn: null,
+  introVideo: null,
+  idleOverlay: null,
+  idleMessage: null,
+  idleContinueBtn: null,
+  attractHint: null,
+  languageToggle: null,
+  adminHotspot: null,
+  adminPinDialog: null,
+  adminPinDisplay: null,
+  adminPinMessage: null,
+  adminPinPad: null,
+  adminPanel: null,
+  adminStatus: null
 };
 
+// Swipe navigation tuning
+const SWIPE_LOCK_DISTANCE = 10; // Movement (px) before deciding between horizontal drag and vertical scroll
+const SWIPE_DISTANCE_RATIO = 0.25; // Fraction of the panel width that commits a drag
+const SWIPE_VELOCITY_THRESHOLD = 0.5; // Flick speed (px/ms) that commits regardless of distance
+const RUBBER_BAND_FACTOR = 0.3; // Drag resistance past the first/last decade
+const SLIDE_DURATION_MS = 250;
+
+// Tap recognition tuning
+const TAP_MOVE_TOLERANCE = 10; // Movement (px) after which a press counts as a scroll/swipe
+const TAP_MAX_DURATION_MS = 800; // Longer presses are not taps
+const TAP_DEBOUNCE_MS = 300; // Repeat dispatches on the same element are ignored
+
+// Timeline tuning
+const TIMELINE_START_YEAR = 1950; // First year of the strip (and of the placeholder decades)
+const TIMELINE_YEAR_WIDTH = 60; // Width (px) of one year on the strip
+const TIMELINE_CLUSTER_DISTANCE = 180; // Events closer than this (px) share one marker
+
+// Lightbox zoom tuning
+const LIGHTBOX_MAX_ZOOM = 4; // Images can't be enlarged beyond 4x their fitted size
+const LIGHTBOX_ZOOM_STEP = 1.5; // Zoom factor of the +/- buttons
+const LIGHTBOX_WHEEL_STEP = 1.2; // Zoom factor per mouse wheel notch (staff testing on a desktop)
+const LIGHTBOX_DOUBLE_TAP_ZOOM = 2.5; // Double tap toggles between fitted and this zoom
+const LIGHTBOX_DOUBLE_TAP_MS = 300;
+
 /**
  * Initialize the application
  */
@@ -41,12 +421,27 @@ function init() {
   // Cache DOM elements
   cacheElements();
   
+  // Placeholder decades until content.json is loaded
+  AppState.decades = getDefaultDecades();
+  
+  // Apply defaults until config.json is loaded
+  AppState.config = mergeConfig(DEFAULT_CONFIG, {});
+  const configLoaded = loadConfig();
+  
+  // Translate the interface and build the language toggle
+  initLanguageToggle();
+  setLanguage(AppState.config.i18n.defaultLanguage);
+  
   // Setup event listeners
   setupEventListeners();
   
   // Initialize decade selector
   initDecadeSelector();
   
+  // Load decade content from content.json once the venue's eras are known
+  // (falls back to placeholders), then confirm to the service worker that this version boots
+  configLoaded.then(loadContentData).then(reportBootHealth);
+  
   // Setup service worker controller change handler
   setupServiceWorkerHandlers();
   
@@ -56,6 +451,18 @@ function init() {
   // Handle ESC key for admin exit (only works with physical keyboard)
   setupEscHandler();
   
+  // Hidden maintenance panel for on-site staff (long-press + PIN)
+  setupAdminPanel();
+  
+  // Return to the intro screen when the kiosk is left unattended
+  setupIdleWatchdog();
+  
+  // Tour the decades automatically while nobody is interacting
+  scheduleAttractMode();
+  
+  // Queue interaction events and upload them with a heartbeat
+  setupTelemetry();
+  
   console.log('Totem application initialized');
 }
 
@@ -63,17 +470,78 @@ function init() {
  * Cache frequently used DOM elements
  */
 function cacheElements() {
+  Elements.app = document.getElementById('app');
   Elements.introContainer = document.getElementById('intro-video-container');
   Elements.mainContent = document.getElementById('main-content');
+  Elements.eraBackdropPrevious = document.getElementById('era-backdrop-previous');
   Elements.startBtn = document.getElementById('start-btn');
+  Elements.introSubtitle = document.getElementById('intro-subtitle');
+  Elements.introAccessibilityBtn = document.getElementById('intro-accessibility-btn');
+  Elements.appHeader = document.querySelector('.app-header');
+  Elements.lowerBand = document.getElementById('lower-band');
+  Elements.accessibilityBtn = document.getElementById('accessibility-btn');
+  Elements.announcer = document.getElementById('announcer');
+  Elements.decadeSelectorBar = document.getElementById('decade-selector-bar');
   Elements.decadeSelector = document.getElementById('decade-selector');
+  Elements.decadePagePrev = document.getElementById('decade-page-prev');
+  Elements.decadePageNext = document.getElementById('decade-page-next');
+  Elements.timeline = document.getElementById('timeline');
+  Elements.timelinePopover = document.getElementById('timeline-popover');
+  Elements.viewToggle = document.getElementById('view-toggle');
   Elements.prevBtn = document.getElementById('prev-btn');
   Elements.nextBtn = document.getElementById('next-btn');
   Elements.eraTitle = document.getElementById('era-title');
   Elements.eraDescription = document.getElementById('era-description');
   Elements.contentImage = document.getElementById('content-image');
   Elements.contentVideo = document.getElementById('content-video');
+  Elements.contentDisplay = document.getElementById('content-display');
+  Elements.mediaCaption = document.getElementById('media-caption');
+  Elements.itemIndicators = document.getElementById('item-indicators');
+  Elements.listenBtn = document.getElementById('listen-btn');
+  Elements.narrationAudio = document.getElementById('narration-audio');
+  Elements.searchBtn = document.getElementById('search-btn');
+  Elements.searchPanel = document.getElementById('search-panel');
+  Elements.searchQuery = document.getElementById('search-query');
+  Elements.searchClearBtn = document.getElementById('search-clear-btn');
+  Elements.searchCloseBtn = document.getElementById('search-close-btn');
+  Elements.searchFilters = document.getElementById('search-filters');
+  Elements.searchCount = document.getElementById('search-count');
+  Elements.searchResults = document.getElementById('search-results');
+  Elements.searchKeyboard = document.getElementById('search-keyboard');
+  Elements.lightbox = document.getElementById('lightbox');
+  Elements.lightboxStage = document.getElementById('lightbox-stage');
+  Elements.lightboxImage = document.getElementById('lightbox-image');
+  Elements.lightboxVideo = document.getElementById('lightbox-video');
+  Elements.lightboxZoomControls = document.getElementById('lightbox-zoom-controls');
+  Elements.lightboxZoomInBtn = document.getElementById('lightbox-zoom-in-btn');
+  Elements.lightboxZoomOutBtn = document.getElementById('lightbox-zoom-out-btn');
+  Elements.lightboxVideoControls = document.getElementById('lightbox-video-controls');
+  Elements.lightboxPlayBtn = document.getElementById('lightbox-play-btn');
+  Elements.lightboxScrub = document.getElementById('lightbox-scrub');
+  Elements.lightboxTime = document.getElementById('lightbox-time');
+  Elements.lightboxCloseBtn = document.getElementById('lightbox-close-btn');
+  Elements.quizBtn = document.getElementById('quiz-btn');
+  Elements.quizPanel = document.getElementById('quiz-panel');
+  Elements.quizProgress = document.getElementById('quiz-progress');
+  Elements.quizQuestion = document.getElementById('quiz-question');
+  Elements.quizChoices = document.getElementById('quiz-choices');
+  Elements.quizFeedback = document.getElementById('quiz-feedback');
+  Elements.quizNextBtn = document.getElementById('quiz-next-btn');
+  Elements.quizRetryBtn = document.getElementById('quiz-retry-btn');
+  Elements.quizCloseBtn = document.getElementById('quiz-close-btn');
   Elements.introVideo = document.getElementById('intro-video');
+  Elements.idleOverlay = document.getElementById('idle-overlay');
+  Elements.idleMessage = document.getElementById('idle-message');
+  Elements.idleContinueBtn = document.getElementById('idle-continue-btn');
+  Elements.attractHint = document.getElementById('attract-hint');
+  Elements.languageToggle = document.getElementById('language-toggle');
+  Elements.adminHotspot = document.getElementById('admin-hotspot');
+  Elements.adminPinDialog = document.getElementById('admin-pin-dialog');
+  Elements.adminPinDisplay = document.getElementById('admin-pin-display');
+  Elements.adminPinMessage = document.getElementById('admin-pin-message');
+  Elements.adminPinPad = document.getElementById('admin-pin-pad');
+  Elements.adminPanel = document.getElementById('admin-panel');
+  Elements.adminStatus = document.getElementById('admin-status');
 }
 
 /**
@@ -82,20 +550,49 @@ function cacheElements() {
 function setupEventListeners() {
   // Start button - transitions from intro to main content
   if (Elements.startBtn) {
-    Elements.startBtn.addEventListener('click', handleStart);
-    Elements.startBtn.addEventListener('touchstart', handleStart);
+    onTap(Elements.startBtn, handleStart);
   }
   
   // Navigation buttons
   if (Elements.prevBtn) {
-    Elements.prevBtn.addEventListener('click', handlePrevious);
-    Elements.prevBtn.addEventListener('touchstart', handlePrevious);
+    onTap(Elements.prevBtn, handlePrevious);
   }
   
   if (Elements.nextBtn) {
-    Elements.nextBtn.addEventListener('click', handleNext);
-    Elements.nextBtn.addEventListener('touchstart', handleNext);
+    onTap(Elements.nextBtn, handleNext);
+  }
+  
+  // Switch between the decade buttons and the timeline
+  if (Elements.viewToggle) {
+    onTap(Elements.viewToggle, handleViewToggle);
+  }
+  
+  // The popover is positioned for the current scroll offset
+  if (Elements.timeline) {
+    Elements.timeline.addEventListener('scroll', closeTimelinePopover, { passive: true });
+  }
+  
+  // Page through the decade selector when it has more eras than fit
+  if (Elements.decadePagePrev) {
+    onTap(Elements.decadePagePrev, () => pageDecadeSelector(-1));
+  }
+  if (Elements.decadePageNext) {
+    onTap(Elements.decadePageNext, () => pageDecadeSelector(1));
   }
+  if (Elements.decadeSelector) {
+    Elements.decadeSelector.addEventListener('scroll', updateDecadePager, { passive: true });
+  }
+  window.addEventListener('resize', updateDecadePager);
+  
+  // Accessibility mode, from the intro screen or the navigation bar
+  [Elements.introAccessibilityBtn, Elements.accessibilityBtn].forEach(button => {
+    if (button) {
+      onTap(button, handleAccessibilityToggle);
+    }
+  });
+  
+  // Arrow keys within the decade selector and the timeline
+  setupKeyboardNavigation();
   
   // Video error handling (fallback if video fails to load)
   if (Elements.introVideo) {
@@ -104,7 +601,240 @@ function setupEventListeners() {
   
   if (Elements.contentVideo) {
     Elements.contentVideo.addEventListener('error', handleVideoError);
+    Elements.contentVideo.addEventListener('ended', handleAttractVideoEnded);
+  }
+  
+  // Swipe between decades on the content panel
+  setupSwipeNavigation();
+  
+  // Per-decade quiz
+  setupQuiz();
+  
+  // "Listen" button
+  setupNarration();
+  
+  // Tap media to enlarge it
+  setupLightbox();
+  
+  // Search and filter across all decades
+  setupSearch();
+}
+
+/**
+ * Register a tap handler on an element using Pointer Events
+ * Dispatches exactly once per gesture, whichever mix of pointer, touch and
+ * mouse events the screen emits. Presses that move or last too long are
+ * treated as scrolls/swipes and ignored. Keyboard activation still works.
+ * @param {HTMLElement} element - The element to listen on
+ * @param {Function} handler - Called with the event that completed the tap
+ * @param {Object} [options]
+ * @param {number} [options.debounceMs=TAP_DEBOUNCE_MS] - Minimum time between dispatches
+ */
+function onTap(element, handler, { debounceMs = TAP_DEBOUNCE_MS } = {}) {
+  let gesture = null;
+  let lastDispatch = 0;
+  
+  const dispatch = e => {
+    const now = Date.now();
+    if (now - lastDispatch < debounceMs) return;
+    lastDispatch = now;
+    handler(e);
+  };
+  
+  element.addEventListener('pointerdown', e => {
+    if (!e.isPrimary || e.button !== 0) return;
+    gesture = { pointerId: e.pointerId, x: e.clientX, y: e.clientY, time: Date.now() };
+  });
+  
+  element.addEventListener('pointermove', e => {
+    if (!gesture || e.pointerId !== gesture.pointerId) return;
+    
+    if (Math.hypot(e.clientX - gesture.x, e.clientY - gesture.y) > TAP_MOVE_TOLERANCE) {
+      gesture = null;
+    }
+  });
+  
+  element.addEventListener('pointerup', e => {
+    if (!gesture || e.pointerId !== gesture.pointerId) return;
+    
+    const isTap = Date.now() - gesture.time <= TAP_MAX_DURATION_MS;
+    gesture = null;
+    
+    if (isTap) {
+      dispatch(e);
+    }
+  });
+  
+  element.addEventListener('pointercancel', () => {
+    gesture = null;
+  });
+  
+  // Cancelling touchend suppresses the compatibility mouse events and click,
+  // so a tap that hides this element can't "ghost click" whatever is underneath
+  element.addEventListener('touchend', e => {
+    if (e.cancelable) {
+      e.preventDefault();
+    }
+  }, { passive: false });
+  
+  // Pointer taps are handled above; only keyboard activation (detail 0) gets through
+  element.addEventListener('click', e => {
+    e.preventDefault();
+    e.stopPropagation();
+    
+    if (e.detail === 0) {
+      dispatch(e);
+    }
+  });
+}
+
+/**
+ * Setup swipe/drag navigation on the content panel
+ * The panel follows the finger; a long enough drag or a quick flick moves to the
+ * previous/next decade, like the arrow buttons
+ */
+function setupSwipeNavigation() {
+  const panel = Elements.contentDisplay;
+  if (!panel) return;
+  
+  let start = null;
+  let dragging = false;
+  let deltaX = 0;
+  
+  panel.addEventListener('touchstart', e => {
+    // Multi-touch is never a swipe (pinch-zoom stays disabled)
+    if (e.touches.length !== 1 || slideInProgress) {
+      start = null;
+      return;
+    }
+    
+    start = { x: e.touches[0].clientX, y: e.touches[0].clientY, time: Date.now() };
+    dragging = false;
+    deltaX = 0;
+  }, { passive: true });
+  
+  panel.addEventListener('touchmove', e => {
+    if (!start) return;
+    
+    if (e.touches.length !== 1) {
+      start = null;
+      snapBack();
+      return;
+    }
+    
+    const dx = e.touches[0].clientX - start.x;
+    const dy = e.touches[0].clientY - start.y;
+    
+    // Decide once whether this gesture is a horizontal drag
+    if (!dragging) {
+      if (Math.abs(dx) < SWIPE_LOCK_DISTANCE && Math.abs(dy) < SWIPE_LOCK_DISTANCE) return;
+      if (Math.abs(dy) > Math.abs(dx)) {
+        start = null;
+        return;
+      }
+      dragging = true;
+    }
+    
+    deltaX = dx;
+    
+    // Rubber-band when there is nothing further in this direction
+    const hasTarget = getAdjacentDecade(dx < 0 ? 1 : -1) !== null;
+    const offset = hasTarget ? dx : dx * RUBBER_BAND_FACTOR;
+    panel.style.transform = `translateX(${offset}px)`;
+  }, { passive: true });
+  
+  panel.addEventListener('touchend', () => {
+    if (!start || !dragging) {
+      start = null;
+      return;
+    }
+    
+    const elapsed = Math.max(Date.now() - start.time, 1);
+    const velocity = Math.abs(deltaX) / elapsed;
+    const direction = deltaX < 0 ? 1 : -1;
+    const target = getAdjacentDecade(direction);
+    const committed = Math.abs(deltaX) > panel.offsetWidth * SWIPE_DISTANCE_RATIO || 
+      velocity > SWIPE_VELOCITY_THRESHOLD;
+    
+    start = null;
+    
+    // Same move as the arrow buttons: one decade (items are reached with the dots)
+    if (target && committed) {
+      navigateDecade(direction);
+    } else {
+      snapBack();
+    }
+  });
+  
+  panel.addEventListener('touchcancel', () => {
+    start = null;
+    snapBack();
+  });
+}
+
+/**
+ * Get the decade before or after the current one
+ * @param {number} direction - -1 for previous, 1 for next
+ * @returns {Object|null} Decade, or null at the first/last decade
+ */
+function getAdjacentDecade(direction) {
+  if (!AppState.currentDecade) return null;
+  
+  const currentIndex = AppState.decades.findIndex(d => d.id === AppState.currentDecade.id);
+  return AppState.decades[currentIndex + direction] || null;
+}
+
+// Slide transition state
+let slideInProgress = false;
+
+/**
+ * Slide the content panel out, apply a change, and slide the new content in
+ * @param {number} direction - -1 slides in from the left, 1 slides in from the right
+ * @param {Function} change - Updates the content while the panel is off screen
+ */
+function slideContent(direction, change) {
+  const panel = Elements.contentDisplay;
+  
+  if (slideInProgress) return;
+  
+  if (!panel) {
+    change();
+    return;
   }
+  
+  slideInProgress = true;
+  const width = panel.offsetWidth;
+  
+  panel.classList.add('sliding');
+  panel.style.transform = `translateX(${-direction * width}px)`;
+  
+  setTimeout(() => {
+    // Jump to the opposite side without animating, then slide back in
+    panel.classList.remove('sliding');
+    panel.style.transform = `translateX(${direction * width}px)`;
+    change();
+    
+    void panel.offsetWidth; // Force reflow so the jump is not animated
+    panel.classList.add('sliding');
+    panel.style.transform = '';
+    
+    setTimeout(() => {
+      panel.classList.remove('sliding');
+      slideInProgress = false;
+    }, SLIDE_DURATION_MS);
+  }, SLIDE_DURATION_MS);
+}
+
+/**
+ * Animate the content panel back to its resting position after a cancelled drag
+ */
+function snapBack() {
+  const panel = Elements.contentDisplay;
+  if (!panel || !panel.style.transform) return;
+  
+  panel.classList.add('sliding');
+  panel.style.transform = '';
+  setTimeout(() => panel.classList.remove('sliding'), SLIDE_DURATION_MS);
 }
 
 /**
@@ -118,15 +848,71 @@ function initDecadeSelector() {
   AppState.decades.forEach(decade => {
     const button = document.createElement('button');
     button.className = 'decade-button';
-    button.textContent = decade.label;
     button.setAttribute('data-decade', decade.id);
-    button.setAttribute('aria-label', `View ${decade.label}`);
+    button.setAttribute('aria-label', t('decade.view', { decade: getDecadeLabel(decade) }));
     
-    button.addEventListener('click', () => selectDecade(decade.id));
-    button.addEventListener('touchstart', () => selectDecade(decade.id));
+    if (decade.color) {
+      button.style.setProperty('--era-color', decade.color);
+    }
+    if (decade.icon) {
+      const icon = document.createElement('img');
+      icon.className = 'decade-icon';
+      icon.src = decade.icon;
+      icon.alt = '';
+      button.appendChild(icon);
+    }
+    button.appendChild(document.createTextNode(getDecadeLabel(decade)));
+    
+    onTap(button, () => selectDecade(decade.id));
     
     Elements.decadeSelector.appendChild(button);
   });
+  
+  updateDecadePager();
+}
+
+/**
+ * Show the page buttons only when the eras don't all fit, and disable them at either end
+ */
+function updateDecadePager() {
+  const selector = Elements.decadeSelector;
+  if (!selector || !Elements.decadePagePrev || !Elements.decadePageNext) return;
+  
+  const overflowing = selector.scrollWidth > selector.clientWidth + 1;
+  const atStart = selector.scrollLeft <= 1;
+  const atEnd = selector.scrollLeft + selector.clientWidth >= selector.scrollWidth - 1;
+  
+  [[Elements.decadePagePrev, atStart], [Elements.decadePageNext, atEnd]].forEach(([button, disabled]) => {
+    button.classList.toggle('hidden', !overflowing);
+    button.disabled = disabled;
+    button.classList.toggle('disabled', disabled);
+  });
+}
+
+/**
+ * Scroll the decade selector by one page
+ * @param {number} direction - -1 for the previous page, 1 for the next
+ */
+function pageDecadeSelector(direction) {
+  const selector = Elements.decadeSelector;
+  if (!selector) return;
+  
+  selector.scrollLeft += direction * selector.clientWidth;
+  updateDecadePager();
+}
+
+/**
+ * Scroll the decade selector just enough to show a button
+ * @param {HTMLElement} button - Decade button
+ */
+function scrollDecadeButtonIntoView(button) {
+  const selector = Elements.decadeSelector;
+  
+  if (button.offsetLeft < selector.scrollLeft) {
+    selector.scrollLeft = button.offsetLeft;
+  } else if (button.offsetLeft + button.offsetWidth > selector.scrollLeft + selector.clientWidth) {
+    selector.scrollLeft = button.offsetLeft + button.offsetWidth - selector.clientWidth;
+  }
 }
 
 /**
@@ -136,6 +922,9 @@ function handleStart(e) {
   e.preventDefault();
   e.stopPropagation();
   
+  // A visitor is here - cancel the pending attract tour
+  clearTimeout(attractStartTimer);
+  
   // Hide intro, show main content
   if (Elements.introContainer) {
     Elements.introContainer.classList.add('hidden');
@@ -149,28 +938,125 @@ function handleStart(e) {
     Elements.introVideo.pause();
   }
   
+  startTelemetrySession('start_button');
+  
   // Select first decade by default
   if (AppState.decades.length > 0) {
     selectDecade(AppState.decades[0].id);
   }
+  
+  // Start watching for inactivity
+  resetIdleTimer();
 }
 
 /**
  * Select a decade and display its content
  * @param {string} decadeId - The ID of the decade to display
+ * @param {number} [itemIndex=0] - Index of the item within the decade to show
  */
-function selectDecade(decadeId) {
+function selectDecade(decadeId, itemIndex = 0) {
   const decade = AppState.decades.find(d => d.id === decadeId);
   if (!decade) return;
   
+  // Leaving the decade (or the attract tour moving on) abandons its quiz
+  if (AppState.quiz && AppState.quiz.decadeId !== decadeId) {
+    closeQuiz();
+  }
+  
+  stopNarration();
+  
   AppState.currentDecade = decade;
+  AppState.currentItemIndex = clampItemIndex(decadeId, itemIndex);
+  
+  trackDecadeView(decadeId, AppState.currentItemIndex);
   
   // Update UI
+  applyEraTheme(decadeId);
   updateDecadeButtons();
   updateContent();
   updateNavigationButtons();
 }
 
+/**
+ * Apply a decade's theme to #main-content, crossfading from the previous one
+ * @param {string|null} decadeId - The decade ID (null for the default look)
+ */
+function applyEraTheme(decadeId) {
+  const main = Elements.mainContent;
+  if (!main || (main.getAttribute('data-era') || null) === decadeId) return;
+  
+  // Freeze the outgoing theme on the top backdrop and fade it out over the new one
+  // ('initial' stops the backdrop from inheriting the new value instead)
+  const previous = Elements.eraBackdropPrevious;
+  if (previous) {
+    Object.values(ERA_THEME_PROPERTIES).forEach(property => {
+      previous.style.setProperty(property, main.style.getPropertyValue(property) || 'initial');
+    });
+    previous.classList.remove('fading');
+    void previous.offsetWidth; // Restart the transition
+    previous.classList.add('fading');
+  }
+  
+  const theme = getEraTheme(decadeId);
+  Object.keys(ERA_THEME_PROPERTIES).forEach(field => {
+    const property = ERA_THEME_PROPERTIES[field];
+    
+    if (!theme[field]) {
+      main.style.removeProperty(property);
+    } else if (field === 'backgroundImage') {
+      main.style.setProperty(property, `url(${JSON.stringify(theme[field])})`);
+    } else {
+      main.style.setProperty(property, theme[field]);
+    }
+  });
+  
+  if (decadeId) {
+    main.setAttribute('data-era', decadeId);
+  } else {
+    main.removeAttribute('data-era');
+  }
+}
+
+/**
+ * Get the theme of a decade
+ * @param {string|null} decadeId - The decade ID
+ * @returns {Object} Theme fields from content.json (the era's configured color as a fallback accent)
+ */
+function getEraTheme(decadeId) {
+  const entry = decadeId ? AppState.contentData[decadeId] : null;
+  const decade = AppState.decades.find(d => d.id === decadeId);
+  const theme = entry && entry.theme ? entry.theme : {};
+  
+  return { ...theme, accent: theme.accent || (decade && decade.color) || null };
+}
+
+/**
+ * Show an item of the current decade
+ * @param {number} itemIndex - Index of the item within the current decade
+ */
+function showItem(itemIndex) {
+  if (!AppState.currentDecade) return;
+  
+  const items = getDecadeItems(AppState.currentDecade.id);
+  if (itemIndex < 0 || itemIndex >= items.length || itemIndex === AppState.currentItemIndex) return;
+  
+  AppState.currentItemIndex = itemIndex;
+  stopNarration();
+  updateContent();
+}
+
+/**
+ * Clamp an item index to the range of items available for a decade
+ * @param {string} decadeId - The decade ID
+ * @param {number} itemIndex - Requested item index
+ * @returns {number} Valid item index
+ */
+function clampItemIndex(decadeId, itemIndex) {
+  const count = getDecadeItems(decadeId).length;
+  const index = Number.isInteger(itemIndex) ? itemIndex : 0;
+  return Math.min(Math.max(index, 0), count - 1);
+}
+
 /**
  * Update decade button states (active/inactive)
  */
@@ -179,6 +1065,7 @@ function updateDecadeButtons() {
   buttons.forEach(btn => {
     if (btn.getAttribute('data-decade') === AppState.currentDecade?.id) {
       btn.classList.add('active');
+      scrollDecadeButtonIntoView(btn);
     } else {
       btn.classList.remove('active');
     }
@@ -191,370 +1078,3640 @@ function updateDecadeButtons() {
 function updateContent() {
   if (!AppState.currentDecade) return;
   
-  const decadeId = AppState.currentDecade.id;
-  const data = AppState.contentData[decadeId] || getDefaultContent(decadeId);
+  const data = getCurrentContent();
+  
+  const placeholder = getDefaultContent(AppState.currentDecade.id);
   
   // Update title and description
   if (Elements.eraTitle) {
-    Elements.eraTitle.textContent = data.title || `${AppState.currentDecade.label} - Canadian Sports`;
+    Elements.eraTitle.textContent = localize(data.title) || placeholder.title;
   }
   
   if (Elements.eraDescription) {
-    Elements.eraDescription.textContent = data.description || 
-      `Explore Canadian sports history during the ${AppState.currentDecade.label}. Content will be added here.`;
+    Elements.eraDescription.textContent = localize(data.description) || placeholder.description;
   }
   
   // Update media (image or video)
   if (data.mediaType === 'video' && Elements.contentVideo) {
-    Elements.contentImage.classList.add('hidden');
-    Elements.contentVideo.classList.remove('hidden');
-    Elements.contentVideo.play().catch(err => console.warn('Video play failed:', err));
+    showContentVideo(data);
   } else if (Elements.contentImage) {
-    Elements.contentVideo.classList.add('hidden');
-    Elements.contentImage.classList.remove('hidden');
+    showContentImage(data.media, localize(data.alt));
+  }
+  
+  // Update media caption
+  const caption = localize(data.caption);
+  if (Elements.mediaCaption) {
+    Elements.mediaCaption.textContent = caption || '';
+    Elements.mediaCaption.classList.toggle('hidden', !caption);
+  }
+  
+  updateItemIndicators();
+  updateTimeline();
+  
+  // Screen readers hear about the new era/item (the unattended tour stays quiet)
+  if (!AppState.attractMode) {
+    announce(t('announce.item', {
+      decade: getDecadeLabel(AppState.currentDecade),
+      title: Elements.eraTitle ? Elements.eraTitle.textContent : ''
+    }));
+  }
+  
+  updateListenButton();
+  
+  if (Elements.quizBtn) {
+    Elements.quizBtn.classList.toggle('hidden', getDecadeQuiz(AppState.currentDecade.id).length === 0);
   }
 }
 
 /**
- * Get default content for a decade (placeholder until real data is injected)
- * @param {string} decadeId - The decade ID
- * @returns {Object} Default content object
+ * Render the dot indicators for the items of the current decade
  */
-function getDefaultContent(decadeId) {
-  return {
-    title: `${AppState.decades.find(d => d.id === decadeId)?.label} - Canadian Sports`,
-    description: `Canadian sports during the ${AppState.decades.find(d => d.id === decadeId)?.label}. Historical content will be displayed here.`,
-    mediaType: 'image' // Default to image, can be changed per decade
-  };
+function updateItemIndicators() {
+  if (!Elements.itemIndicators) return;
+  
+  const items = getDecadeItems(AppState.currentDecade.id);
+  Elements.itemIndicators.innerHTML = '';
+  Elements.itemIndicators.classList.toggle('hidden', items.length < 2);
+  
+  if (items.length < 2) return;
+  
+  items.forEach((item, index) => {
+    const dot = document.createElement('button');
+    dot.className = 'item-dot';
+    dot.classList.toggle('active', index === AppState.currentItemIndex);
+    dot.setAttribute('aria-label', t('item.position', {
+      index: index + 1,
+      count: items.length,
+      title: localize(item.title)
+    }));
+    
+    onTap(dot, () => showItem(index));
+    
+    Elements.itemIndicators.appendChild(dot);
+  });
 }
 
 /**
- * Handle previous decade navigation
+ * Get the ordered content items for a decade
+ * @param {string} decadeId - The decade ID
+ * @returns {Array<Object>} Content items (a single placeholder item if no content)
  */
-function handlePrevious(e) {
-  e.preventDefault();
-  e.stopPropagation();
-  
-  if (!AppState.currentDecade) return;
+function getDecadeItems(decadeId) {
+  const entry = AppState.contentData[decadeId];
+  if (!entry) return [getDefaultContent(decadeId)];
   
-  const currentIndex = AppState.decades.findIndex(d => d.id === AppState.currentDecade.id);
-  if (currentIndex > 0) {
-    selectDecade(AppState.decades[currentIndex - 1].id);
-  }
+  // Entries injected in the single-item format are treated as one item
+  const items = Array.isArray(entry.items) ? entry.items : [entry];
+  return items.length > 0 ? items : [getDefaultContent(decadeId)];
 }
 
 /**
- * Handle next decade navigation
+ * Get the content item currently displayed
+ * @returns {Object} Content item (or placeholder content)
  */
-function handleNext(e) {
-  e.preventDefault();
-  e.stopPropagation();
-  
-  if (!AppState.currentDecade) return;
-  
-  const currentIndex = AppState.decades.findIndex(d => d.id === AppState.currentDecade.id);
-  if (currentIndex < AppState.decades.length - 1) {
-    selectDecade(AppState.decades[currentIndex + 1].id);
-  }
+function getCurrentContent() {
+  const items = getDecadeItems(AppState.currentDecade.id);
+  return items[AppState.currentItemIndex] || items[0];
+}
+
+/**
+ * Show the content video for a decade entry, swapping its source if needed
+ * @param {Object} data - Decade content entry
+ */
+function showContentVideo(data) {
+  const video = Elements.contentVideo;
+  
+  if (data.media && video.getAttribute('src') !== data.media) {
+    video.pause();
+    video.setAttribute('src', data.media);
+    video.load();
+  }
+  
+  if (data.poster) {
+    video.setAttribute('poster', data.poster);
+  } else {
+    video.removeAttribute('poster');
+  }
+  video.setAttribute('aria-label', localize(data.alt) || localize(data.title) || '');
+  setVideoCaptions(video, data.captions);
+  
+  Elements.contentImage.classList.add('hidden');
+  video.classList.remove('hidden');
+  video.play().catch(err => console.warn('Video play failed:', err));
+}
+
+/**
+ * Attach WebVTT caption tracks to a video (replacing any previous ones) and show the active language
+ * @param {HTMLVideoElement} video - The video
+ * @param {string|Object} [captions] - Caption file path, or paths keyed by language
+ */
+function setVideoCaptions(video, captions) {
+  const tracks = !captions ? {} : typeof captions === 'string' ? { [FALLBACK_LANGUAGE]: captions } : captions;
+  const key = JSON.stringify(tracks);
+  if (video.getAttribute('data-captions') === key) return;
+  
+  video.querySelectorAll('track').forEach(track => track.remove());
+  
+  Object.keys(tracks).forEach(language => {
+    const track = document.createElement('track');
+    track.kind = 'captions';
+    track.srclang = language;
+    track.label = LANGUAGE_NAMES[language] || language;
+    track.src = tracks[language];
+    video.appendChild(track);
+  });
+  
+  video.setAttribute('data-captions', key);
+  
+  // Keep the media caption clear of the subtitles
+  if (video.parentElement) {
+    video.parentElement.classList.toggle('has-captions', Object.keys(tracks).length > 0);
+  }
+  
+  updateCaptionLanguage(video);
+}
+
+/**
+ * Show a video's captions in the active language (or the closest fallback), hiding the others
+ * @param {HTMLVideoElement} video - The video
+ */
+function updateCaptionLanguage(video) {
+  const tracks = Array.from(video.querySelectorAll('track'));
+  const languages = [AppState.language, AppState.config.i18n.defaultLanguage, FALLBACK_LANGUAGE];
+  const language = languages.find(candidate => tracks.some(track => track.srclang === candidate)) || 
+    (tracks[0] && tracks[0].srclang);
+  
+  tracks.forEach(track => {
+    const isShown = track.srclang === language;
+    track.default = isShown;
+    
+    // TextTrack is missing in some embedded browsers; 'default' still applies on load
+    if (track.track) {
+      track.track.mode = isShown ? 'showing' : 'disabled';
+    }
+  });
+}
+
+/**
+ * Show the content image, pausing any video that was playing
+ * @param {string} src - Image URL (keeps the current image if empty)
+ * @param {string} alt - Alternative text for the image
+ */
+function showContentImage(src, alt) {
+  if (Elements.contentVideo) {
+    Elements.contentVideo.pause();
+    Elements.contentVideo.classList.add('hidden');
+    setVideoCaptions(Elements.contentVideo, null);
+  }
+  
+  if (src && Elements.contentImage.getAttribute('src') !== src) {
+    Elements.contentImage.setAttribute('src', src);
+  }
+  Elements.contentImage.alt = alt || t('content.defaultAlt');
+  Elements.contentImage.classList.remove('hidden');
+}
+
+/**
+ * Get default content for a decade (placeholder until real data is injected)
+ * @param {string} decadeId - The decade ID
+ * @returns {Object} Default content object
+ */
+function getDefaultContent(decadeId) {
+  const decade = getDecadeLabel(AppState.decades.find(d => d.id === decadeId));
+  return {
+    title: t('content.placeholderTitle', { decade }),
+    description: t('content.placeholderDescription', { decade }),
+    mediaType: 'image' // Default to image, can be changed per decade
+  };
+}
+
+/**
+ * Build a decade definition from its first year
+ * @param {number} start - First year of the decade (e.g., 1950)
+ * @returns {Object} Decade ({ id, start, end }), labelled with the 'decade.label' string
+ */
+function createDecade(start) {
+  return { id: `${start}s`, start, end: start + 9 };
+}
+
+/**
+ * Parse a decade ID from content.json
+ * @param {string} decadeId - Decade ID (e.g., '1950s')
+ * @returns {Object|null} Decade definition, or null if the ID does not name a decade
+ */
+function parseDecadeId(decadeId) {
+  const match = /^(\d{3}0)s$/.exec(decadeId);
+  return match ? createDecade(parseInt(match[1], 10)) : null;
+}
+
+/**
+ * Find the era a content.json entry is keyed by
+ * @param {string} decadeId - Era ID (a decade ID such as '1950s' unless eras are configured)
+ * @returns {Object|null} Era definition, or null if there is no such era
+ */
+function findEra(decadeId) {
+  if (AppState.eras) {
+    return AppState.eras.find(era => era.id === decadeId) || null;
+  }
+  
+  return parseDecadeId(decadeId);
+}
+
+/**
+ * Validate the era definitions from config.json
+ * @param {Array<Object>|null} definitions - eras.definitions
+ * @returns {{eras: Array<Object>|null, errors: Array<string>}} Valid eras (null to use decades) and validation errors
+ */
+function validateEraDefinitions(definitions) {
+  if (definitions === null || definitions === undefined) {
+    return { eras: null, errors: [] };
+  }
+  
+  if (!Array.isArray(definitions)) {
+    return { eras: null, errors: ['eras.definitions must be a list of eras'] };
+  }
+  
+  const errors = [];
+  const ids = new Set();
+  
+  const eras = definitions.filter((era, index) => {
+    const eraErrors = validateEntry(era, ERA_SCHEMA);
+    
+    if (eraErrors.length === 0) {
+      if (!Number.isInteger(era.start) || !Number.isInteger(era.end) || era.end < era.start) {
+        eraErrors.push('fields "start" and "end" must be years, with end not before start');
+      }
+      if (ids.has(era.id)) {
+        eraErrors.push(`duplicate era ID "${era.id}"`);
+      }
+    }
+    
+    errors.push(...eraErrors.map(error => `eras.definitions[${index}]: ${error}`));
+    if (eraErrors.length > 0) return false;
+    
+    ids.add(era.id);
+    return true;
+  });
+  
+  return { eras: eras.length > 0 ? eras : null, errors };
+}
+
+/**
+ * Placeholder decades, shown until content.json is loaded (or if it can't be)
+ * @returns {Array<Object>} The configured eras, or one decade per 10 years from TIMELINE_START_YEAR to today
+ */
+function getDefaultDecades() {
+  if (AppState.eras) return AppState.eras;
+  
+  const decades = [];
+  for (let start = TIMELINE_START_YEAR; start <= new Date().getFullYear(); start += 10) {
+    decades.push(createDecade(start));
+  }
+  return decades;
+}
+
+/**
+ * Derive the decade list from content data
+ * @param {Object} contentData - Content entries keyed by decade ID
+ * @returns {Array<Object>} Eras that have content, in configured order (decades in chronological order)
+ */
+function deriveDecades(contentData) {
+  if (AppState.eras) {
+    return AppState.eras.filter(era => contentData[era.id]);
+  }
+  
+  return Object.keys(contentData)
+    .map(parseDecadeId)
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Replace the decade list and rebuild everything that shows it
+ * @param {Array<Object>} decades - Decades in chronological order
+ */
+function setDecades(decades) {
+  if (decades.length === 0) return;
+  
+  AppState.decades = decades;
+  
+  // Keep the visitor's decade if it still exists
+  if (AppState.currentDecade) {
+    AppState.currentDecade = decades.find(d => d.id === AppState.currentDecade.id) || decades[0];
+  }
+  
+  initDecadeSelector();
+  updateDecadeButtons();
+  renderTimeline();
+  updateNavigationButtons();
+  updateIntroSubtitle();
+}
+
+/**
+ * Describe the span of the exhibit on the intro screen (e.g., "from 1950 to today")
+ */
+function updateIntroSubtitle() {
+  if (!Elements.introSubtitle || AppState.decades.length === 0) return;
+  
+  const from = Math.min(...AppState.decades.map(decade => decade.start));
+  const to = Math.max(...AppState.decades.map(decade => decade.end));
+  
+  Elements.introSubtitle.textContent = to >= new Date().getFullYear() ? 
+    t('intro.subtitle', { from }) : 
+    t('intro.subtitleRange', { from, to });
+}
+
+/**
+ * Switch between the decade buttons and the timeline
+ * @param {string} view - 'decades' or 'timeline'
+ */
+function setView(view) {
+  AppState.view = view;
+  
+  closeTimelinePopover();
+  if (Elements.decadeSelectorBar) {
+    Elements.decadeSelectorBar.classList.toggle('hidden', view !== 'decades');
+  }
+  if (Elements.timeline) {
+    Elements.timeline.classList.toggle('hidden', view !== 'timeline');
+  }
+  
+  updateViewToggle();
+  updateTimeline();
+}
+
+/**
+ * Handle the view toggle button
+ */
+function handleViewToggle() {
+  const view = AppState.view === 'timeline' ? 'decades' : 'timeline';
+  
+  setView(view);
+  recordEvent('view_change', { view });
+}
+
+/**
+ * Label the view toggle with the view it switches to
+ */
+function updateViewToggle() {
+  if (!Elements.viewToggle) return;
+  
+  Elements.viewToggle.textContent = t(AppState.view === 'timeline' ? 'view.decades' : 'view.timeline');
+}
+
+/**
+ * Get the dated items of all decades, in chronological order
+ * Items without a year are not shown on the timeline
+ * @returns {Array<{year: number, decadeId: string, itemIndex: number, item: Object}>} Timeline events
+ */
+function getTimelineEvents() {
+  const events = [];
+  
+  AppState.decades.forEach(decade => {
+    getDecadeItems(decade.id).forEach((item, itemIndex) => {
+      if (Number.isInteger(item.year)) {
+        events.push({ year: item.year, decadeId: decade.id, itemIndex, item });
+      }
+    });
+  });
+  
+  return events.sort((a, b) => a.year - b.year);
+}
+
+/**
+ * Group events whose markers would overlap on the strip
+ * @param {Array<Object>} events - Timeline events in chronological order
+ * @returns {Array<{from: number, to: number, events: Array<Object>}>} Clusters (a lone event is a cluster of one)
+ */
+function clusterTimelineEvents(events) {
+  const clusters = [];
+  
+  events.forEach(event => {
+    const last = clusters[clusters.length - 1];
+    
+    // Measured from the cluster's latest year, so marker centres stay at least the distance apart
+    if (last && (event.year - last.to) * TIMELINE_YEAR_WIDTH < TIMELINE_CLUSTER_DISTANCE) {
+      last.events.push(event);
+      last.to = event.year;
+    } else {
+      clusters.push({ from: event.year, to: event.year, events: [event] });
+    }
+  });
+  
+  return clusters;
+}
+
+/**
+ * Build the timeline strip: one tick per year from TIMELINE_START_YEAR to today, with event markers
+ */
+function renderTimeline() {
+  if (!Elements.timeline) return;
+  
+  closeTimelinePopover();
+  
+  const events = getTimelineEvents();
+  const first = Math.min(TIMELINE_START_YEAR, ...AppState.decades.map(decade => decade.start));
+  const last = Math.max(new Date().getFullYear(), ...events.map(event => event.year));
+  const offset = year => (year - first + 0.5) * TIMELINE_YEAR_WIDTH;
+  
+  const track = document.createElement('div');
+  track.className = 'timeline-track';
+  track.style.width = `${(last - first + 1) * TIMELINE_YEAR_WIDTH}px`;
+  
+  for (let year = first; year <= last; year++) {
+    const tick = document.createElement('span');
+    tick.className = year % 10 === 0 ? 'timeline-tick decade-start' : 'timeline-tick';
+    tick.style.left = `${offset(year)}px`;
+    if (year % 10 === 0) {
+      tick.textContent = year;
+    }
+    track.appendChild(tick);
+  }
+  
+  clusterTimelineEvents(events).forEach(cluster => {
+    const marker = createTimelineMarker(cluster);
+    marker.style.left = `${offset((cluster.from + cluster.to) / 2)}px`;
+    track.appendChild(marker);
+  });
+  
+  Elements.timeline.innerHTML = '';
+  Elements.timeline.appendChild(track);
+  updateTimeline();
+}
+
+/**
+ * Create the marker for one event, or for a cluster of nearby events
+ * @param {Object} cluster - Cluster from clusterTimelineEvents
+ * @returns {HTMLElement} Marker button
+ */
+function createTimelineMarker(cluster) {
+  const marker = document.createElement('button');
+  const years = cluster.from === cluster.to ? String(cluster.from) : `${cluster.from}–${cluster.to}`;
+  const count = cluster.events.length;
+  
+  marker.className = count > 1 ? 'timeline-marker cluster' : 'timeline-marker';
+  marker.setAttribute('data-events', cluster.events.map(getTimelineEventKey).join(' '));
+  
+  const year = document.createElement('span');
+  year.className = 'timeline-marker-year';
+  year.textContent = years;
+  
+  const label = document.createElement('span');
+  label.className = 'timeline-marker-label';
+  
+  if (count > 1) {
+    label.textContent = t('timeline.count', { count });
+    marker.setAttribute('aria-label', t('timeline.cluster', { count, years }));
+    // onTap only dispatches click events for keyboard activation
+    onTap(marker, e => toggleTimelinePopover(marker, cluster, e.type === 'click'));
+  } else {
+    const title = localize(cluster.events[0].item.title);
+    label.textContent = title;
+    marker.setAttribute('aria-label', t('timeline.event', { year: years, title }));
+    onTap(marker, () => openTimelineEvent(cluster.events[0]));
+  }
+  
+  marker.appendChild(year);
+  marker.appendChild(label);
+  return marker;
+}
+
+/**
+ * Identify an event on the timeline
+ * @param {Object} event - Timeline event (or { decadeId, itemIndex })
+ * @returns {string} Key (e.g., '1970s:2')
+ */
+function getTimelineEventKey(event) {
+  return `${event.decadeId}:${event.itemIndex}`;
+}
+
+/**
+ * Highlight the marker of the item on screen and scroll it into view
+ */
+function updateTimeline() {
+  if (!Elements.timeline) return;
+  
+  const key = AppState.currentDecade ? 
+    getTimelineEventKey({ decadeId: AppState.currentDecade.id, itemIndex: AppState.currentItemIndex }) : 
+    null;
+  let activeMarker = null;
+  
+  Elements.timeline.querySelectorAll('.timeline-marker').forEach(marker => {
+    const isActive = key !== null && marker.getAttribute('data-events').split(' ').includes(key);
+    marker.classList.toggle('active', isActive);
+    if (isActive) {
+      activeMarker = marker;
+    }
+  });
+  
+  if (activeMarker && AppState.view === 'timeline') {
+    centerTimelineMarker(activeMarker);
+  }
+}
+
+/**
+ * Scroll the timeline so a marker is in the middle
+ * @param {HTMLElement} marker - Timeline marker (centred on its left offset)
+ */
+function centerTimelineMarker(marker) {
+  Elements.timeline.scrollLeft = marker.offsetLeft - Elements.timeline.clientWidth / 2;
+}
+
+/**
+ * Show an event from the timeline in the content panel
+ * @param {Object} event - Timeline event
+ */
+function openTimelineEvent(event) {
+  closeTimelinePopover();
+  
+  recordEvent('timeline_select', { decadeId: event.decadeId, itemIndex: event.itemIndex, year: event.year });
+  selectDecade(event.decadeId, event.itemIndex);
+}
+
+/**
+ * Open (or close) the list of events behind a cluster marker
+ * @param {HTMLElement} marker - The cluster's marker
+ * @param {Object} cluster - Cluster from clusterTimelineEvents
+ * @param {boolean} [fromKeyboard=false] - Move focus into the list
+ */
+function toggleTimelinePopover(marker, cluster, fromKeyboard = false) {
+  const popover = Elements.timelinePopover;
+  if (!popover) return;
+  
+  if (!popover.classList.contains('hidden') && popover.getAttribute('data-for') === marker.getAttribute('data-events')) {
+    closeTimelinePopover();
+    return;
+  }
+  
+  popover.innerHTML = '';
+  cluster.events.forEach(event => {
+    const button = document.createElement('button');
+    button.className = 'timeline-popover-item';
+    button.textContent = `${event.year} · ${localize(event.item.title)}`;
+    
+    onTap(button, () => openTimelineEvent(event));
+    
+    popover.appendChild(button);
+  });
+  
+  // Place it under the marker (the popover lives in the header, outside the scrolling strip),
+  // or above it when the timeline is in the lower band
+  const headerRect = popover.offsetParent ? popover.offsetParent.getBoundingClientRect() : { left: 0, top: 0 };
+  const markerRect = marker.getBoundingClientRect();
+  popover.style.left = `${markerRect.left + markerRect.width / 2 - headerRect.left}px`;
+  popover.style.top = `${(AppState.accessibilityMode ? markerRect.top : markerRect.bottom) - headerRect.top}px`;
+  popover.setAttribute('data-for', marker.getAttribute('data-events'));
+  popover.classList.remove('hidden');
+  
+  if (fromKeyboard && popover.firstElementChild) {
+    popover.firstElementChild.focus();
+  }
+}
+
+/**
+ * Close the cluster popover
+ */
+function closeTimelinePopover() {
+  if (Elements.timelinePopover) {
+    Elements.timelinePopover.classList.add('hidden');
+  }
+}
+
+/**
+ * Translate an interface string into the active language
+ * @param {string} key - String key (e.g., 'intro.start')
+ * @param {Object} [params] - Values for {placeholders} in the string
+ * @returns {string} Translated string (the key itself if it is missing everywhere)
+ */
+function t(key, params = {}) {
+  const table = STRINGS[AppState.language] || {};
+  const template = table[key] ?? STRINGS[FALLBACK_LANGUAGE][key] ?? key;
+  
+  return template.replace(/\{(\w+)\}/g, (match, name) => 
+    params[name] !== undefined ? String(params[name]) : match
+  );
+}
+
+/**
+ * Resolve a content field that may be localized into the active language
+ * @param {string|Object} value - Plain string or an object keyed by language
+ * @returns {string|undefined} Text in the active language (falls back to the venue/default language)
+ */
+function localize(value) {
+  if (value === null || typeof value !== 'object') return value;
+  
+  return value[AppState.language] ?? 
+    value[AppState.config.i18n.defaultLanguage] ?? 
+    value[FALLBACK_LANGUAGE] ?? 
+    Object.values(value)[0];
+}
+
+/**
+ * Check whether a value is a plain string or an object of strings keyed by language
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is valid localized text
+ */
+function isLocalizedText(value) {
+  if (typeof value === 'string') return true;
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  
+  const entries = Object.values(value);
+  return entries.length > 0 && entries.every(entry => typeof entry === 'string');
+}
+
+/**
+ * Get the label of a decade in the active language
+ * @param {Object} decade - Decade definition from AppState.decades
+ * @returns {string} Decade label
+ */
+function getDecadeLabel(decade) {
+  if (!decade) return '';
+  
+  return decade.label ? localize(decade.label) : t('decade.label', { year: decade.start });
+}
+
+/**
+ * Switch the interface and content to a language
+ * @param {string} language - Language code from SUPPORTED_LANGUAGES
+ */
+function setLanguage(language) {
+  if (!SUPPORTED_LANGUAGES.includes(language)) {
+    console.warn('Unsupported language:', language);
+    return;
+  }
+  
+  // Narration is in the old language
+  stopNarration();
+  
+  AppState.language = language;
+  document.documentElement.lang = language;
+  
+  applyTranslations();
+  updateLanguageToggle();
+  updateIntroSubtitle();
+  
+  // Captions follow the interface language
+  [Elements.introVideo, Elements.contentVideo, Elements.lightboxVideo].forEach(video => {
+    if (video) {
+      updateCaptionLanguage(video);
+    }
+  });
+  
+  // Rebuild decade buttons and the timeline with translated labels
+  initDecadeSelector();
+  updateDecadeButtons();
+  renderTimeline();
+  updateViewToggle();
+  
+  if (AppState.currentDecade) {
+    updateContent();
+  }
+  
+  if (AppState.quiz) {
+    renderQuiz();
+  }
+  
+  if (AppState.search) {
+    renderSearchFilters();
+    updateSearchResults();
+  }
+}
+
+/**
+ * Apply translations to static markup
+ * Elements declare their string with data-i18n (text) or data-i18n-aria-label
+ */
+function applyTranslations() {
+  document.title = t('app.title');
+  
+  document.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.getAttribute('data-i18n'));
+  });
+  
+  document.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+    element.setAttribute('aria-label', t(element.getAttribute('data-i18n-aria-label')));
+  });
+}
+
+/**
+ * Build the on-screen language toggle (one button per supported language)
+ */
+function initLanguageToggle() {
+  if (!Elements.languageToggle) return;
+  
+  Elements.languageToggle.innerHTML = '';
+  
+  SUPPORTED_LANGUAGES.forEach(language => {
+    const button = document.createElement('button');
+    button.className = 'language-button';
+    button.textContent = language.toUpperCase();
+    button.setAttribute('data-language', language);
+    button.setAttribute('lang', language);
+    button.setAttribute('aria-label', LANGUAGE_NAMES[language]);
+    
+    onTap(button, () => setLanguage(language));
+    
+    Elements.languageToggle.appendChild(button);
+  });
+}
+
+/**
+ * Highlight the active language on the toggle
+ */
+function updateLanguageToggle() {
+  if (!Elements.languageToggle) return;
+  
+  Elements.languageToggle.setAttribute('aria-label', t('language.toggle'));
+  Elements.languageToggle.querySelectorAll('.language-button').forEach(button => {
+    const isActive = button.getAttribute('data-language') === AppState.language;
+    button.classList.toggle('active', isActive);
+    button.setAttribute('aria-pressed', String(isActive));
+  });
+}
+
+/**
+ * Switch accessibility mode: all controls in a lower band within reach of seated
+ * visitors, larger text and higher contrast (styles keyed on html.accessibility-mode)
+ * @param {boolean} enabled - Whether the mode is on
+ */
+function setAccessibilityMode(enabled) {
+  AppState.accessibilityMode = enabled;
+  
+  // On <html> so rem-based sizes scale with it
+  document.documentElement.classList.toggle('accessibility-mode', enabled);
+  
+  // Move the era controls rather than reorder them with CSS, so focus order matches the screen
+  const container = enabled ? Elements.lowerBand : Elements.appHeader;
+  if (container) {
+    closeTimelinePopover();
+    [Elements.decadeSelectorBar, Elements.timeline, Elements.timelinePopover].forEach(element => {
+      if (element) {
+        container.appendChild(element);
+      }
+    });
+  }
+  if (Elements.lowerBand) {
+    Elements.lowerBand.classList.toggle('hidden', !enabled);
+  }
+  
+  [Elements.introAccessibilityBtn, Elements.accessibilityBtn].forEach(button => {
+    if (button) {
+      button.setAttribute('aria-pressed', String(enabled));
+    }
+  });
+  
+  updateDecadePager();
+  updateTimeline();
+}
+
+/**
+ * Handle the accessibility toggle buttons
+ */
+function handleAccessibilityToggle() {
+  const enabled = !AppState.accessibilityMode;
+  
+  setAccessibilityMode(enabled);
+  recordEvent('accessibility_mode', { enabled });
+}
+
+/**
+ * Announce a message to screen readers through the live region
+ * @param {string} message - Text to announce
+ */
+function announce(message) {
+  if (Elements.announcer) {
+    Elements.announcer.textContent = message;
+  }
+}
+
+/**
+ * Keyboard and switch access: Tab and Enter/Space work on every button; arrow keys,
+ * Home and End also move between decade buttons, timeline markers and cluster events
+ */
+function setupKeyboardNavigation() {
+  if (Elements.decadeSelector) {
+    Elements.decadeSelector.addEventListener('keydown', e => moveFocusWithin(e, '.decade-button', false));
+    Elements.decadeSelector.addEventListener('focusin', e => scrollDecadeButtonIntoView(e.target));
+  }
+  
+  if (Elements.timeline) {
+    Elements.timeline.addEventListener('keydown', e => moveFocusWithin(e, '.timeline-marker', false));
+    Elements.timeline.addEventListener('focusin', e => {
+      if (e.target.classList.contains('timeline-marker')) {
+        centerTimelineMarker(e.target);
+      }
+    });
+  }
+  
+  if (Elements.timelinePopover) {
+    Elements.timelinePopover.addEventListener('keydown', e => {
+      if (e.key === 'Escape') {
+        returnFocusFromPopover();
+        return;
+      }
+      moveFocusWithin(e, '.timeline-popover-item', true);
+    });
+  }
+}
+
+/**
+ * Move focus to the previous/next/first/last item of a group on arrow, Home and End keys
+ * @param {KeyboardEvent} e - Keydown event from the group container
+ * @param {string} itemSelector - Selector of the focusable items in the group
+ * @param {boolean} vertical - Up/Down arrows move focus instead of Left/Right
+ */
+function moveFocusWithin(e, itemSelector, vertical) {
+  const items = Array.from(e.currentTarget.querySelectorAll(itemSelector));
+  const index = items.indexOf(document.activeElement);
+  if (index === -1) return;
+  
+  const steps = vertical ? 
+    { ArrowUp: -1, ArrowDown: 1 } : 
+    { ArrowLeft: -1, ArrowRight: 1 };
+  let target;
+  
+  if (e.key in steps) {
+    target = items[index + steps[e.key]];
+  } else if (e.key === 'Home') {
+    target = items[0];
+  } else if (e.key === 'End') {
+    target = items[items.length - 1];
+  }
+  
+  if (target) {
+    e.preventDefault();
+    target.focus();
+  }
+}
+
+/**
+ * Close the cluster popover and return focus to its marker
+ */
+function returnFocusFromPopover() {
+  const key = Elements.timelinePopover.getAttribute('data-for');
+  closeTimelinePopover();
+  
+  const marker = Array.from(Elements.timeline.querySelectorAll('.timeline-marker'))
+    .find(candidate => candidate.getAttribute('data-events') === key);
+  if (marker) {
+    marker.focus();
+  }
+}
+
+// Element to refocus when the open full-screen dialog closes
+let modalReturnFocus = null;
+
+/**
+ * Show a full-screen dialog as modal (call once it is visible): the screens behind it become inert and focus moves into it
+ * @param {HTMLElement} focusTarget - Element focused inside the dialog
+ * @param {HTMLElement} returnTarget - Element focused again when the dialog closes
+ */
+function openModal(focusTarget, returnTarget) {
+  getModalBackground().forEach(element => element.toggleAttribute('inert', true));
+  modalReturnFocus = returnTarget;
+  
+  if (focusTarget) {
+    focusTarget.focus();
+  }
+}
+
+/**
+ * Release the page behind a modal dialog and return focus to where it was opened from
+ */
+function closeModal() {
+  getModalBackground().forEach(element => element.removeAttribute('inert'));
+  
+  const target = modalReturnFocus;
+  modalReturnFocus = null;
+  if (target && !target.closest('.hidden')) {
+    target.focus();
+  }
+}
+
+/**
+ * Get the screens a modal dialog covers
+ * @returns {Array<HTMLElement>} Intro screen, main screen and language toggle
+ */
+function getModalBackground() {
+  return [Elements.introContainer, Elements.mainContent, Elements.languageToggle].filter(Boolean);
+}
+
+/**
+ * Keep Tab and Shift+Tab cycling through the visible controls of a modal dialog
+ * @param {KeyboardEvent} e - Keydown event from the dialog
+ */
+function trapFocus(e) {
+  if (e.key !== 'Tab') return;
+  
+  const focusable = Array.from(e.currentTarget.querySelectorAll('button, input, [tabindex="0"]'))
+    .filter(element => !element.disabled && !element.closest('.hidden'));
+  if (focusable.length === 0) return;
+  
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  
+  if (e.shiftKey && (document.activeElement === first || !e.currentTarget.contains(document.activeElement))) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && document.activeElement === last) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+/**
+ * Get the app base path (supports GitHub Pages subdirectory deployments)
+ * @returns {string} Base path (e.g., '/totem-test' or '')
+ */
+function getBasePath() {
+  return window.location.pathname.replace(/\/[^/]*$/, '') || '';
+}
+
+/**
+ * Fetch config.json and merge it over the default configuration
+ * Keeps the defaults if the file is missing or invalid
+ */
+async function loadConfig() {
+  try {
+    const response = await fetch(getBasePath() + '/config.json');
+    
+    if (!response.ok) {
+      console.warn('Failed to fetch config.json:', response.status);
+      return;
+    }
+    
+    const overrides = await response.json();
+    AppState.config = mergeConfig(DEFAULT_CONFIG, overrides);
+    console.log('Config loaded');
+    
+    const { eras, errors } = validateEraDefinitions(AppState.config.eras.definitions);
+    if (errors.length > 0) {
+      console.warn('config.json era errors:', errors);
+    }
+    AppState.eras = eras;
+    setDecades(getDefaultDecades());
+    
+    // Re-arm the attract tour and language with the venue settings
+    if (!isSessionActive() && !AppState.attractMode) {
+      setLanguage(AppState.config.i18n.defaultLanguage);
+      scheduleAttractMode();
+    }
+  } catch (error) {
+    console.warn('Error loading config.json, using default config:', error);
+  }
+}
+
+/**
+ * Merge configuration overrides over defaults, one section at a time
+ * @param {Object} defaults - Default configuration
+ * @param {Object} overrides - Venue configuration from config.json
+ * @returns {Object} Merged configuration
+ */
+function mergeConfig(defaults, overrides) {
+  const merged = {};
+  
+  Object.keys(defaults).forEach(section => {
+    const override = overrides && typeof overrides[section] === 'object' ? overrides[section] : {};
+    merged[section] = { ...defaults[section], ...override };
+  });
+  
+  return merged;
+}
+
+/**
+ * Fetch content.json, validate it and inject the decade content
+ * Keeps the placeholder content if the manifest is missing or invalid
+ * @returns {Promise<boolean>} True if content was loaded
+ */
+async function loadContentData() {
+  try {
+    const response = await fetch(getBasePath() + '/content.json');
+    
+    if (!response.ok) {
+      console.warn('Failed to fetch content.json:', response.status);
+      return false;
+    }
+    
+    const manifest = await response.json();
+    const { decades, intro, errors } = validateContentManifest(manifest);
+    
+    if (errors.length > 0) {
+      console.warn('content.json validation errors:', errors);
+    }
+    
+    if (!decades) return false;
+    
+    AppState.contentVersion = manifest.version || null;
+    injectContentData(decades);
+    
+    if (intro && Elements.introVideo) {
+      setVideoCaptions(Elements.introVideo, intro.captions);
+    }
+    console.log('Content loaded, version:', AppState.contentVersion);
+    return true;
+  } catch (error) {
+    console.warn('Error loading content.json, using placeholder content:', error);
+    return false;
+  }
+}
+
+/**
+ * Validate a content manifest against the content schema
+ * Invalid decade entries are dropped so one bad entry can't break the whole exhibit
+ * @param {Object} manifest - Parsed content.json
+ * @returns {{decades: Object|null, intro: Object|null, errors: Array<string>}} Valid decade entries, intro settings and validation errors
+ */
+function validateContentManifest(manifest) {
+  const errors = [];
+  
+  if (!manifest || typeof manifest !== 'object') {
+    return { decades: null, intro: null, errors: ['Manifest is not an object'] };
+  }
+  
+  if (manifest.schemaVersion !== CONTENT_SCHEMA_VERSION) {
+    return { 
+      decades: null, 
+      intro: null, 
+      errors: [`Unsupported schemaVersion: ${manifest.schemaVersion} (expected ${CONTENT_SCHEMA_VERSION})`] 
+    };
+  }
+  
+  if (!manifest.decades || typeof manifest.decades !== 'object') {
+    return { decades: null, intro: null, errors: ['Missing "decades" object'] };
+  }
+  
+  const decades = {};
+  let intro = null;
+  
+  if (manifest.intro !== undefined) {
+    const introErrors = validateEntry(manifest.intro, INTRO_SCHEMA);
+    errors.push(...introErrors.map(error => `intro: ${error}`));
+    if (introErrors.length === 0) {
+      intro = manifest.intro;
+    }
+  }
+  
+  Object.keys(manifest.decades).forEach(decadeId => {
+    const decade = findEra(decadeId);
+    if (!decade) {
+      errors.push(AppState.eras ? `${decadeId}: unknown era` : `${decadeId}: not a decade (expected e.g. "1950s")`);
+      return;
+    }
+    
+    // A decade is either { items: [...] } or a single item
+    const entry = manifest.decades[decadeId];
+    const items = entry && Array.isArray(entry.items) ? entry.items : [entry];
+    
+    const validItems = items.filter((item, index) => {
+      const itemErrors = validateEntry(item, CONTENT_ITEM_SCHEMA);
+      
+      // A dated item must fall within its decade
+      const year = itemErrors.length === 0 ? item.year : undefined;
+      if (year !== undefined && year !== null && !(Number.isInteger(year) && year >= decade.start && year <= decade.end)) {
+        itemErrors.push(`field "year" must be a year from ${decade.start} to ${decade.end}`);
+      }
+      
+      // A video needs its still image, shown until it plays and if it fails
+      if (itemErrors.length === 0 && item.mediaType === 'video' && !item.poster) {
+        itemErrors.push('missing required field "poster" (required for videos)');
+      }
+      
+      if (itemErrors.length === 0 && item.tags !== undefined && item.tags !== null) {
+        itemErrors.push(...validateTags(item.tags));
+      }
+      
+      errors.push(...itemErrors.map(error => `${decadeId}[${index}]: ${error}`));
+      return itemErrors.length === 0;
+    });
+    
+    if (validItems.length === 0) {
+      errors.push(`${decadeId}: no valid items`);
+      return;
+    }
+    
+    decades[decadeId] = { items: validItems };
+    
+    // Optional theme: an invalid theme is dropped, the decade is kept
+    if (entry.theme !== undefined) {
+      const themeErrors = validateEntry(entry.theme, ERA_THEME_SCHEMA);
+      errors.push(...themeErrors.map(error => `${decadeId}.theme: ${error}`));
+      if (themeErrors.length === 0) {
+        decades[decadeId].theme = entry.theme;
+      }
+    }
+    
+    // Optional quiz: invalid questions are dropped, the decade is kept
+    if (entry.quiz !== undefined) {
+      const quiz = validateQuiz(entry.quiz, decadeId, errors);
+      if (quiz.length > 0) {
+        decades[decadeId].quiz = quiz;
+      }
+    }
+  });
+  
+  return { decades, intro, errors };
+}
+
+/**
+ * Validate a content item's search tags
+ * @param {Object} tags - Tags from content.json ({ category: [text, ...] })
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateTags(tags) {
+  if (Array.isArray(tags)) {
+    return ['field "tags" must be an object of tag lists keyed by category'];
+  }
+  
+  const errors = [];
+  
+  Object.keys(tags).forEach(category => {
+    const values = tags[category];
+    
+    if (!SEARCH_TAG_CATEGORIES.includes(category)) {
+      errors.push(`tags: unknown category "${category}" (expected one of: ${SEARCH_TAG_CATEGORIES.join(', ')})`);
+    } else if (!Array.isArray(values) || !values.every(isLocalizedText)) {
+      errors.push(`tags.${category}: must be a list of strings or objects of strings keyed by language`);
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Validate a decade's quiz questions
+ * @param {Array<Object>} quiz - Questions from content.json
+ * @param {string} decadeId - Decade the quiz belongs to (for error messages)
+ * @param {Array<string>} errors - Validation errors, appended to
+ * @returns {Array<Object>} Valid questions
+ */
+function validateQuiz(quiz, decadeId, errors) {
+  if (!Array.isArray(quiz)) {
+    errors.push(`${decadeId}.quiz: must be a list of questions`);
+    return [];
+  }
+  
+  return quiz.filter((question, index) => {
+    const questionErrors = validateEntry(question, QUIZ_QUESTION_SCHEMA);
+    
+    if (questionErrors.length === 0) {
+      const { choices, answer } = question;
+      if (!Array.isArray(choices) || choices.length < 2 || !choices.every(isLocalizedText)) {
+        questionErrors.push('field "choices" must be a list of at least two texts');
+      } else if (!Number.isInteger(answer) || answer < 0 || answer >= choices.length) {
+        questionErrors.push('field "answer" must be the index of one of the choices');
+      }
+    }
+    
+    errors.push(...questionErrors.map(error => `${decadeId}.quiz[${index}]: ${error}`));
+    return questionErrors.length === 0;
+  });
+}
+
+/**
+ * Validate an object against a field schema
+ * @param {Object} entry - The object to validate
+ * @param {Object} schema - Field schema ({ field: { type, required, oneOf } })
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateEntry(entry, schema) {
+  if (!entry || typeof entry !== 'object') {
+    return ['entry is not an object'];
+  }
+  
+  const errors = [];
+  
+  Object.keys(schema).forEach(field => {
+    const rule = schema[field];
+    const value = entry[field];
+    
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        errors.push(`missing required field "${field}"`);
+      }
+      return;
+    }
+    
+    if (rule.type === 'text') {
+      if (!isLocalizedText(value)) {
+        errors.push(`field "${field}" must be a string or an object of strings keyed by language`);
+      }
+      return;
+    }
+    
+    if (typeof value !== rule.type) {
+      errors.push(`field "${field}" must be a ${rule.type}`);
+      return;
+    }
+    
+    if (rule.oneOf && !rule.oneOf.includes(value)) {
+      errors.push(`field "${field}" must be one of: ${rule.oneOf.join(', ')}`);
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Handle previous decade navigation
+ */
+function handlePrevious(e) {
+  e.preventDefault();
+  e.stopPropagation();
+  
+  navigateDecade(-1);
+}
+
+/**
+ * Handle next decade navigation
+ */
+function handleNext(e) {
+  e.preventDefault();
+  e.stopPropagation();
+  
+  navigateDecade(1);
+}
+
+/**
+ * Move to the previous or next decade with a slide transition
+ * @param {number} direction - -1 for previous, 1 for next
+ */
+function navigateDecade(direction) {
+  const decade = getAdjacentDecade(direction);
+  if (!decade) return;
+  
+  slideContent(direction, () => selectDecade(decade.id));
 }
 
 /**
  * Update navigation button states (disable at boundaries)
  */
-function updateNavigationButtons() {
-  if (!AppState.currentDecade) return;
+function updateNavigationButtons() {
+  if (!AppState.currentDecade) return;
+  
+  const currentIndex = AppState.decades.findIndex(d => d.id === AppState.currentDecade.id);
+  
+  if (Elements.prevBtn) {
+    Elements.prevBtn.disabled = currentIndex === 0;
+    Elements.prevBtn.classList.toggle('disabled', currentIndex === 0);
+  }
+  
+  if (Elements.nextBtn) {
+    Elements.nextBtn.disabled = currentIndex === AppState.decades.length - 1;
+    Elements.nextBtn.classList.toggle('disabled', currentIndex === AppState.decades.length - 1);
+  }
+}
+
+// Version checking state
+let updateCheckTimer = null;
+let updateCheckFailures = 0; // Consecutive failed checks, drives the backoff
+let nextUpdateCheckAt = null; // Shown in the admin panel
+let refreshing = false;
+let swRegistration = null;
+
+// Service worker update coordinator states (owned by service-worker.js)
+const UpdateState = Object.freeze({
+  IDLE: 'idle',
+  CHECKING: 'checking',
+  DOWNLOADING: 'downloading',
+  READY: 'ready',
+  APPLYING: 'applying',
+  FAILED: 'failed'
+});
+
+// Message protocol shared with service-worker.js
+const MessageType = Object.freeze({
+  // Page -> worker requests, answered with { type, ok, result | error }
+  GET_STATUS: 'GET_STATUS',
+  CHECK_FOR_UPDATE: 'CHECK_FOR_UPDATE',
+  APPLY_UPDATE: 'APPLY_UPDATE',
+  CLEAR_CACHES: 'CLEAR_CACHES',
+  BOOT_OK: 'BOOT_OK',
+  BOOT_FAILED: 'BOOT_FAILED',
+  FLUSH_TELEMETRY: 'FLUSH_TELEMETRY',
+  // Worker -> page broadcasts
+  UPDATE_STATE: 'UPDATE_STATE',
+  ROLLED_BACK: 'ROLLED_BACK'
+});
+
+// Update checks (downloads) and telemetry uploads can take a while; other requests answer quickly
+const SW_REQUEST_TIMEOUT_MS = 5000;
+const SW_LONG_REQUEST_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Ask the service worker's update coordinator to check for a new version
+ * The worker downloads and verifies it, then broadcasts UPDATE_STATE 'ready'
+ * @returns {Promise<Object|null>} Coordinator status, or null without a worker
+ */
+function requestUpdateCheck() {
+  return requestServiceWorker(MessageType.CHECK_FOR_UPDATE, {}, SW_LONG_REQUEST_TIMEOUT_MS);
+}
+
+/**
+ * Setup periodic version checking
+ * Only the schedule lives here; the service worker decides whether there is
+ * a new version, and deferUpdate() picks the moment to apply a ready one.
+ * Many kiosks share one venue uplink, so every delay is randomized.
+ */
+function setupVersionChecking() {
+  // First check shortly after page load
+  scheduleUpdateCheck(3000 + getReconnectSpread()); // At least 3 seconds after page load
+  
+  // Check soon after coming back online, spread so the fleet doesn't reconnect at once
+  window.addEventListener('online', () => {
+    console.log('Connection restored, checking for version update...');
+    scheduleUpdateCheck(1000 + getReconnectSpread()); // Small delay to ensure connection is stable
+  });
+}
+
+/**
+ * Schedule the next version check, replacing any pending one
+ * @param {number} delayMs - Delay before the check
+ */
+function scheduleUpdateCheck(delayMs) {
+  clearTimeout(updateCheckTimer);
+  nextUpdateCheckAt = Date.now() + delayMs;
+  updateCheckTimer = setTimeout(runScheduledUpdateCheck, delayMs);
+}
+
+/**
+ * Run a scheduled version check and schedule the next one
+ */
+async function runScheduledUpdateCheck() {
+  // Offline: keep the normal rhythm, the 'online' event checks sooner
+  if (!navigator.onLine) {
+    scheduleUpdateCheck(getNextPollDelay(null));
+    return;
+  }
+  
+  // No answer (no controlling worker, or it timed out) backs off like a failed check
+  const status = await requestUpdateCheck();
+  updateCheckFailures = !status || status.error ? updateCheckFailures + 1 : 0;
+  
+  scheduleUpdateCheck(getNextPollDelay(status));
+}
+
+/**
+ * Delay until the next version check
+ * Doubles with each consecutive failure up to the cap, never earlier than
+ * the server's Retry-After, and jittered
+ * @param {Object|null} status - Coordinator status from the last check
+ * @returns {number} Delay in milliseconds
+ */
+function getNextPollDelay(status) {
+  const { pollIntervalSeconds, pollJitter, maxBackoffSeconds } = AppState.config.updates;
+  
+  const backoffMs = pollIntervalSeconds * 1000 * Math.pow(2, updateCheckFailures);
+  let delayMs = Math.min(backoffMs, Math.max(maxBackoffSeconds, pollIntervalSeconds) * 1000);
+  
+  if (status && status.retryAt) {
+    delayMs = Math.max(delayMs, status.retryAt - Date.now());
+  }
+  
+  // Spread by ±pollJitter
+  return Math.round(delayMs * (1 + pollJitter * (Math.random() * 2 - 1)));
+}
+
+/**
+ * Random delay within the reconnect spread window
+ * @returns {number} Delay in milliseconds
+ */
+function getReconnectSpread() {
+  return Math.random() * AppState.config.updates.reconnectSpreadSeconds * 1000;
+}
+
+/**
+ * Follow the service worker's update coordinator
+ * @param {Object} status - { state, version, error, lastCheck }
+ */
+function handleUpdateState(status) {
+  if (status.state === UpdateState.READY) {
+    deferUpdate('update downloaded', status.version);
+  } else if (status.state === UpdateState.FAILED) {
+    console.warn('Update failed:', status.version, status.error);
+  }
+}
+
+// Deferred update state - shown in the admin panel
+let pendingUpdate = null; // { version, reason, since }
+let updateApplyInterval = null;
+
+// How often a deferred update re-checks whether it can be applied
+const UPDATE_APPLY_CHECK_MS = 30 * 1000;
+
+/**
+ * Hold an update until the kiosk is idle or inside its maintenance window
+ * Reloading mid-visit would cut off a visitor in the middle of a video
+ * @param {string} reason - What produced the update (shown in diagnostics)
+ * @param {string|null} version - Downloaded app version, if known
+ */
+function deferUpdate(reason, version) {
+  if (!pendingUpdate) {
+    pendingUpdate = { version: version || null, reason, since: Date.now() };
+  } else {
+    pendingUpdate.version = version || pendingUpdate.version;
+    pendingUpdate.reason = reason;
+  }
+  
+  console.log('Update deferred until idle or maintenance window:', reason, version || '');
+  
+  if (!updateApplyInterval) {
+    updateApplyInterval = setInterval(maybeApplyUpdate, UPDATE_APPLY_CHECK_MS);
+  }
+  
+  maybeApplyUpdate();
+}
+
+/**
+ * Apply the deferred update if now is a good moment
+ */
+function maybeApplyUpdate() {
+  if (!pendingUpdate || refreshing) return;
+  
+  const { applyWhenIdle } = AppState.config.updates;
+  const idle = applyWhenIdle && !isSessionActive() && !isAdminOpen();
+  
+  if (idle || isInMaintenanceWindow(new Date())) {
+    applyUpdate();
+  }
+}
+
+/**
+ * Check whether a time falls inside the configured maintenance window
+ * Windows may wrap past midnight (e.g., 23:00-02:00)
+ * @param {Date} date - Time to check (local time)
+ * @returns {boolean} True if inside the window
+ */
+function isInMaintenanceWindow(date) {
+  const { maintenanceStart, maintenanceEnd } = AppState.config.updates;
+  const start = parseTimeOfDay(maintenanceStart);
+  const end = parseTimeOfDay(maintenanceEnd);
+  if (start === null || end === null) return false;
+  
+  const now = date.getHours() * 60 + date.getMinutes();
+  return start <= end 
+    ? now >= start && now < end 
+    : now >= start || now < end;
+}
+
+/**
+ * Parse an "HH:MM" time of day
+ * @param {string} value - Time string
+ * @returns {number|null} Minutes since midnight, or null if not a valid time
+ */
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+}
+
+/**
+ * Switch to the downloaded version and reload
+ */
+async function applyUpdate() {
+  if (refreshing) return;
+  
+  console.log('Applying update:', pendingUpdate ? pendingUpdate.reason : 'manual');
+  clearInterval(updateApplyInterval);
+  updateApplyInterval = null;
+  
+  // Promote the staged cache first so the reload boots the new version
+  const result = await requestServiceWorker(MessageType.APPLY_UPDATE);
+  if (result && result.version) {
+    console.log('Service worker switched to version:', result.version);
+  }
+  
+  triggerReload();
+}
+
+/**
+ * Trigger page reload for update
+ */
+function triggerReload() {
+  if (refreshing) return;
+  
+  console.log('Triggering page reload for update...');
+  refreshing = true;
+  
+  // Small delay to ensure any cache updates are complete
+  setTimeout(() => {
+    window.location.reload();
+  }, 500);
+}
+
+/**
+ * Setup service worker registration and update detection
+ * Automatically refreshes the page when a new service worker is installed
+ */
+function setupServiceWorkerHandlers() {
+  if (!('serviceWorker' in navigator)) {
+    console.warn('Service Workers not supported');
+    return;
+  }
+  
+  // Register service worker (use relative path for GitHub Pages subdirectory)
+  const basePath = window.location.pathname.replace(/\/[^/]*$/, '') || '';
+  const swPath = basePath + '/service-worker.js';
+  const swScope = basePath + '/';
+  
+  navigator.serviceWorker.register(swPath, { scope: swScope })
+    .then(reg => {
+      swRegistration = reg;
+      console.log('Service Worker registered:', reg.scope);
+      
+      // Check for service worker file updates
+      checkForServiceWorkerUpdate(reg);
+      
+      // A new service worker script takes over by itself (skipWaiting);
+      // reload onto it when idle. App versions are handled by UPDATE_STATE.
+      navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!refreshing) {
+          console.log('Service worker controller changed');
+          deferUpdate('service worker updated', null);
+          
+          // Checks went unanswered until now (e.g., the first load has no controller)
+          updateCheckFailures = 0;
+          scheduleUpdateCheck(1000 + getReconnectSpread());
+        }
+      });
+      
+      // An update downloaded before the last reload may still be waiting
+      return requestServiceWorkerStatus().then(status => {
+        if (status && status.update) {
+          handleUpdateState(status.update);
+        }
+      });
+    })
+    .catch(err => {
+      console.error('Service Worker registration failed:', err);
+    });
+  
+  // Listen for broadcasts from service worker
+  navigator.serviceWorker.addEventListener('message', event => {
+    if (event.data && event.data.type === MessageType.UPDATE_STATE) {
+      handleUpdateState(event.data.status);
+    } else if (event.data && event.data.type === MessageType.ROLLED_BACK) {
+      console.warn('Version', event.data.failedVersion, 'failed its health check, rolled back to', event.data.version);
+      // The service worker reloads the page itself; this is a backup
+      triggerReload();
+    }
+  });
+  
+  // Setup version checking
+  setupVersionChecking();
+}
+
+/**
+ * Report to the service worker whether this version booted correctly
+ * A freshly installed version that never reports BOOT_OK is rolled back
+ * @param {boolean} contentLoaded - Whether content.json loaded and validated
+ */
+function reportBootHealth(contentLoaded) {
+  if (contentLoaded) {
+    requestServiceWorker(MessageType.BOOT_OK);
+  } else {
+    requestServiceWorker(MessageType.BOOT_FAILED, { reason: 'content.json failed to load' });
+  }
+}
+
+/**
+ * Check for service worker update
+ * @param {ServiceWorkerRegistration} registration - The service worker registration
+ */
+function checkForServiceWorkerUpdate(registration) {
+  if (!registration) return;
+  
+  registration.update()
+    .then(() => {
+      console.log('Service worker update check completed');
+    })
+    .catch(err => {
+      console.warn('Service worker update check failed:', err);
+    });
+}
+
+/**
+ * Disable interactions that are not suitable for kiosk mode
+ */
+function disableKioskInteractions() {
+  // Disable text selection
+  document.addEventListener('selectstart', e => e.preventDefault());
+  document.addEventListener('dragstart', e => e.preventDefault());
+  
+  // Disable context menu
+  document.addEventListener('contextmenu', e => e.preventDefault());
+  
+  // Disable pinch zoom and double-tap zoom
+  document.addEventListener('touchstart', e => {
+    if (e.touches.length > 1) {
+      e.preventDefault();
+    }
+  }, { passive: false });
+  
+  document.addEventListener('touchend', e => {
+    const now = Date.now();
+    if (now - (disableKioskInteractions.lastTouchEnd || 0) < 300) {
+      e.preventDefault();
+    }
+    disableKioskInteractions.lastTouchEnd = now;
+  }, { passive: false });
+}
+
+/**
+ * Setup ESC key handler for admin exit
+ * Note: This only works with a physical keyboard, not accessible to regular users
+ */
+function setupEscHandler() {
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' || e.keyCode === 27) {
+      // Exit fullscreen if in fullscreen mode
+      if (document.fullscreenElement) {
+        document.exitFullscreen().catch(() => {});
+      }
+      // Could also close the window if needed (uncomment if required)
+      // window.close();
+    }
+  });
+}
+
+// Idle watchdog state
+let idleTimer = null;
+let idleCountdownTimer = null;
+
+/**
+ * Setup the inactivity watchdog
+ * Any touch, click or key press while the main content is visible restarts the timer
+ */
+function setupIdleWatchdog() {
+  ['pointerdown', 'touchstart', 'keydown'].forEach(type => {
+    document.addEventListener(type, handleUserActivity, { capture: true, passive: true });
+  });
+  
+  if (Elements.idleContinueBtn) {
+    onTap(Elements.idleContinueBtn, dismissIdleWarning);
+  }
+}
+
+/**
+ * Handle visitor activity - restarts the idle timer while a session is running
+ */
+function handleUserActivity() {
+  // First touch during the attract tour hands control to the visitor
+  if (AppState.attractMode) {
+    stopAttractMode();
+    startTelemetrySession('attract');
+    if (AppState.currentDecade) {
+      trackDecadeView(AppState.currentDecade.id, AppState.currentItemIndex);
+    }
+    resetIdleTimer();
+    return;
+  }
+  
+  // Activity on the intro screen postpones the attract tour
+  if (!isSessionActive()) {
+    scheduleAttractMode();
+    return;
+  }
+  
+  if (idleCountdownTimer) {
+    dismissIdleWarning();
+    return;
+  }
+  
+  resetIdleTimer();
+}
+
+/**
+ * Check whether a visitor session is running (main content visible)
+ * @returns {boolean} True if the intro screen has been dismissed by a visitor
+ */
+function isSessionActive() {
+  return Boolean(Elements.mainContent) && 
+    !Elements.mainContent.classList.contains('hidden') && 
+    !AppState.attractMode;
+}
+
+/**
+ * Restart the inactivity timer
+ */
+function resetIdleTimer() {
+  clearTimeout(idleTimer);
+  
+  const timeoutSeconds = AppState.config.idle.timeoutSeconds;
+  if (!(timeoutSeconds > 0)) return;
+  
+  idleTimer = setTimeout(showIdleWarning, timeoutSeconds * 1000);
+}
+
+/**
+ * Show the "Are you still there?" prompt and start the countdown
+ */
+function showIdleWarning() {
+  let remaining = AppState.config.idle.countdownSeconds;
+  
+  if (!(remaining > 0) || !Elements.idleOverlay) {
+    resetToIntro();
+    return;
+  }
+  
+  Elements.idleOverlay.classList.remove('hidden');
+  updateIdleMessage(remaining);
+  
+  idleCountdownTimer = setInterval(() => {
+    remaining--;
+    updateIdleMessage(remaining);
+    
+    if (remaining <= 0) {
+      resetToIntro();
+    }
+  }, 1000);
+}
+
+/**
+ * Update the idle countdown message
+ * @param {number} seconds - Seconds left before returning to the intro screen
+ */
+function updateIdleMessage(seconds) {
+  if (Elements.idleMessage) {
+    Elements.idleMessage.textContent = t('idle.message', { seconds });
+  }
+}
+
+/**
+ * Hide the idle prompt and continue the current session
+ */
+function dismissIdleWarning() {
+  clearInterval(idleCountdownTimer);
+  idleCountdownTimer = null;
+  
+  if (Elements.idleOverlay) {
+    Elements.idleOverlay.classList.add('hidden');
+  }
+  
+  resetIdleTimer();
+}
+
+/**
+ * Reset the kiosk to the intro attract screen
+ */
+function resetToIntro() {
+  clearTimeout(idleTimer);
+  clearInterval(idleCountdownTimer);
+  idleTimer = null;
+  idleCountdownTimer = null;
+  
+  console.log('Kiosk idle, returning to intro screen');
+  
+  closeQuiz();
+  closeSearch();
+  stopNarration();
+  closeLightbox();
+  endTelemetrySession();
+  stopAttractMode();
+  
+  if (Elements.idleOverlay) {
+    Elements.idleOverlay.classList.add('hidden');
+  }
+  
+  // Reset navigation state
+  AppState.currentDecade = null;
+  AppState.currentItemIndex = 0;
+  applyEraTheme(null);
+  updateDecadeButtons();
+  setView('decades');
+  setAccessibilityMode(false);
+  
+  // Next visitor starts in the venue's language
+  setLanguage(AppState.config.i18n.defaultLanguage);
+  
+  if (Elements.contentVideo) {
+    Elements.contentVideo.pause();
+  }
+  
+  // Hide main content, show intro
+  if (Elements.mainContent) {
+    Elements.mainContent.classList.add('hidden');
+  }
+  if (Elements.introContainer) {
+    Elements.introContainer.classList.remove('hidden');
+  }
+  
+  // Resume intro video
+  if (Elements.introVideo) {
+    Elements.introVideo.play().catch(err => console.warn('Intro video play failed:', err));
+  }
+  
+  scheduleAttractMode();
+  
+  // Back on the intro screen: a good moment for a deferred update
+  maybeApplyUpdate();
+}
+
+// Attract mode state
+let attractStartTimer = null;
+let attractDwellTimer = null;
+let attractQueue = [];
+
+/**
+ * Schedule the attract tour to start after the configured delay on the intro screen
+ */
+function scheduleAttractMode() {
+  clearTimeout(attractStartTimer);
+  
+  const { enabled, startDelaySeconds } = AppState.config.attract;
+  if (!enabled) return;
+  
+  attractStartTimer = setTimeout(startAttractMode, startDelaySeconds * 1000);
+}
+
+/**
+ * Start the unattended tour through the decades
+ */
+function startAttractMode() {
+  if (isSessionActive() || AppState.attractMode || isAdminOpen()) return;
+  
+  attractQueue = getAttractOrder();
+  if (attractQueue.length === 0) return;
+  
+  console.log('Starting attract mode');
+  AppState.attractMode = true;
+  
+  if (Elements.app) {
+    Elements.app.classList.add('attract-mode');
+  }
+  if (Elements.attractHint) {
+    Elements.attractHint.classList.remove('hidden');
+  }
+  
+  // Show main content over the intro screen
+  if (Elements.introVideo) {
+    Elements.introVideo.pause();
+  }
+  if (Elements.introContainer) {
+    Elements.introContainer.classList.add('hidden');
+  }
+  if (Elements.mainContent) {
+    Elements.mainContent.classList.remove('hidden');
+  }
+  
+  // Let videos end so the tour can advance on 'ended'
+  if (Elements.contentVideo) {
+    Elements.contentVideo.loop = false;
+  }
+  
+  advanceAttractMode();
+}
+
+/**
+ * Show the next decade of the attract tour, or return to the intro when the tour is over
+ */
+function advanceAttractMode() {
+  clearTimeout(attractDwellTimer);
+  
+  const decadeId = attractQueue.shift();
+  if (!decadeId) {
+    resetToIntro();
+    return;
+  }
+  
+  selectDecade(decadeId);
+  
+  const { dwellSeconds, maxVideoSeconds } = AppState.config.attract;
+  const dwell = getCurrentContent().mediaType === 'video' ? maxVideoSeconds : dwellSeconds;
+  attractDwellTimer = setTimeout(advanceAttractMode, dwell * 1000);
+}
+
+/**
+ * Advance the attract tour as soon as a decade's video has finished
+ */
+function handleAttractVideoEnded() {
+  if (AppState.attractMode) {
+    advanceAttractMode();
+  }
+}
+
+/**
+ * Stop the attract tour, leaving the current decade on screen
+ */
+function stopAttractMode() {
+  clearTimeout(attractDwellTimer);
+  attractQueue = [];
+  
+  if (!AppState.attractMode) return;
+  
+  console.log('Stopping attract mode');
+  AppState.attractMode = false;
+  
+  if (Elements.app) {
+    Elements.app.classList.remove('attract-mode');
+  }
+  if (Elements.attractHint) {
+    Elements.attractHint.classList.add('hidden');
+  }
+  
+  // Restore looping (and restart a video that already ended)
+  if (Elements.contentVideo) {
+    Elements.contentVideo.loop = true;
+    if (!Elements.contentVideo.classList.contains('hidden') && Elements.contentVideo.ended) {
+      Elements.contentVideo.play().catch(err => console.warn('Video play failed:', err));
+    }
+  }
+}
+
+/**
+ * Get the order in which the attract tour visits the decades
+ * @returns {Array<string>} Decade IDs
+ */
+function getAttractOrder() {
+  const order = AppState.config.attract.order;
+  
+  if (Array.isArray(order)) {
+    return order.filter(id => AppState.decades.some(d => d.id === id));
+  }
+  
+  const ids = AppState.decades.map(d => d.id);
+  
+  if (order === 'random') {
+    // Fisher-Yates shuffle
+    for (let i = ids.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [ids[i], ids[j]] = [ids[j], ids[i]];
+    }
+  }
+  
+  return ids;
+}
+
+/**
+ * Setup the quiz buttons
+ */
+function setupQuiz() {
+  if (Elements.quizBtn) {
+    onTap(Elements.quizBtn, () => openQuiz());
+  }
+  if (Elements.quizNextBtn) {
+    onTap(Elements.quizNextBtn, handleQuizNext);
+  }
+  if (Elements.quizRetryBtn) {
+    onTap(Elements.quizRetryBtn, () => openQuiz());
+  }
+  if (Elements.quizCloseBtn) {
+    onTap(Elements.quizCloseBtn, handleQuizClose);
+  }
+}
+
+/**
+ * Get the quiz questions for a decade
+ * @param {string} decadeId - The decade ID
+ * @returns {Array<Object>} Questions (empty if the decade has no quiz)
+ */
+function getDecadeQuiz(decadeId) {
+  const entry = AppState.contentData[decadeId];
+  return entry && Array.isArray(entry.quiz) ? entry.quiz : [];
+}
+
+/**
+ * Start (or restart) the quiz for the current decade
+ */
+function openQuiz() {
+  if (!AppState.currentDecade || !Elements.quizPanel) return;
+  
+  const decadeId = AppState.currentDecade.id;
+  const questions = getDecadeQuiz(decadeId);
+  if (questions.length === 0) return;
+  
+  AppState.quiz = { decadeId, questions, index: 0, score: 0, answered: null };
+  
+  stopNarration();
+  if (Elements.contentVideo) {
+    Elements.contentVideo.pause();
+  }
+  Elements.quizPanel.classList.remove('hidden');
+  
+  recordEvent('quiz_start', { decadeId, questions: questions.length });
+  renderQuiz();
+}
+
+/**
+ * Close the quiz and return to the decade
+ * A quiz closed before its last answer is recorded as abandoned
+ */
+function closeQuiz() {
+  const quiz = AppState.quiz;
+  if (!quiz) return;
+  
+  AppState.quiz = null;
+  Elements.quizPanel.classList.add('hidden');
+  
+  if (!isQuizComplete(quiz)) {
+    recordEvent('quiz_abandon', { decadeId: quiz.decadeId, questionIndex: quiz.index, score: quiz.score });
+  }
+}
+
+/**
+ * Handle the "Back to the decade" button - close the quiz and resume the decade's video
+ */
+function handleQuizClose() {
+  closeQuiz();
+  
+  const video = Elements.contentVideo;
+  if (video && !video.classList.contains('hidden')) {
+    video.play().catch(err => console.warn('Video play failed:', err));
+  }
+}
+
+/**
+ * Check whether every question of a quiz has been answered
+ * @param {Object} quiz - Quiz state (AppState.quiz)
+ * @returns {boolean} True once the score summary is reached
+ */
+function isQuizComplete(quiz) {
+  return quiz.index >= quiz.questions.length;
+}
+
+/**
+ * Render the current question, its feedback, or the score summary
+ */
+function renderQuiz() {
+  const quiz = AppState.quiz;
+  if (!quiz) return;
+  
+  const count = quiz.questions.length;
+  Elements.quizChoices.innerHTML = '';
+  Elements.quizRetryBtn.classList.toggle('hidden', !isQuizComplete(quiz));
+  
+  if (isQuizComplete(quiz)) {
+    Elements.quizProgress.textContent = '';
+    Elements.quizQuestion.textContent = t('quiz.scoreTitle', { score: quiz.score, count });
+    Elements.quizFeedback.textContent = quiz.score === count ? t('quiz.scorePerfect') : t('quiz.scoreMessage');
+    Elements.quizNextBtn.classList.add('hidden');
+    return;
+  }
+  
+  const question = quiz.questions[quiz.index];
+  Elements.quizProgress.textContent = t('quiz.progress', { index: quiz.index + 1, count });
+  Elements.quizQuestion.textContent = localize(question.question);
+  
+  question.choices.forEach((choice, index) => {
+    const button = document.createElement('button');
+    button.className = 'quiz-choice';
+    button.textContent = localize(choice);
+    
+    if (quiz.answered !== null) {
+      button.disabled = true;
+      button.classList.toggle('correct', index === question.answer);
+      button.classList.toggle('incorrect', index === quiz.answered && index !== question.answer);
+    } else {
+      onTap(button, () => answerQuizQuestion(index));
+    }
+    
+    Elements.quizChoices.appendChild(button);
+  });
+  
+  Elements.quizFeedback.textContent = quiz.answered === null ? '' : getQuizFeedback(question, quiz.answered);
+  Elements.quizNextBtn.textContent = t(quiz.index === count - 1 ? 'quiz.finish' : 'quiz.next');
+  Elements.quizNextBtn.classList.toggle('hidden', quiz.answered === null);
+}
+
+/**
+ * Build the feedback shown once a question is answered
+ * @param {Object} question - Quiz question
+ * @param {number} choice - Index of the visitor's choice
+ * @returns {string} Feedback text (with the explanation, if any)
+ */
+function getQuizFeedback(question, choice) {
+  const verdict = choice === question.answer ? 
+    t('quiz.correct') : 
+    t('quiz.incorrect', { answer: localize(question.choices[question.answer]) });
+  const explanation = localize(question.explanation);
+  
+  return explanation ? `${verdict} ${explanation}` : verdict;
+}
+
+/**
+ * Answer the current quiz question
+ * @param {number} choice - Index of the chosen answer
+ */
+function answerQuizQuestion(choice) {
+  const quiz = AppState.quiz;
+  if (!quiz || quiz.answered !== null || isQuizComplete(quiz)) return;
+  
+  const correct = choice === quiz.questions[quiz.index].answer;
+  quiz.answered = choice;
+  if (correct) {
+    quiz.score++;
+  }
+  
+  recordEvent('quiz_answer', { decadeId: quiz.decadeId, questionIndex: quiz.index, choice, correct });
+  renderQuiz();
+}
+
+/**
+ * Move on to the next question, or to the score summary after the last one
+ */
+function handleQuizNext() {
+  const quiz = AppState.quiz;
+  if (!quiz || quiz.answered === null) return;
+  
+  quiz.index++;
+  quiz.answered = null;
+  
+  if (isQuizComplete(quiz)) {
+    recordEvent('quiz_complete', { decadeId: quiz.decadeId, score: quiz.score, total: quiz.questions.length });
+  }
+  
+  renderQuiz();
+}
+
+// Narration state
+let narration = null; // { decadeId, itemIndex, source: 'audio'|'speech', utterance } while playing
+
+/**
+ * Setup the "Listen" button and the narration player
+ */
+function setupNarration() {
+  if (Elements.listenBtn) {
+    onTap(Elements.listenBtn, toggleNarration);
+  }
+  
+  if (Elements.narrationAudio) {
+    Elements.narrationAudio.addEventListener('ended', finishNarration);
+    
+    // A recording that can't be played is read out instead
+    Elements.narrationAudio.addEventListener('error', () => {
+      if (narration && narration.source === 'audio') {
+        console.warn('Narration audio failed, using speech synthesis:', Elements.narrationAudio.getAttribute('src'));
+        speakNarration(getCurrentContent());
+      }
+    });
+  }
+}
+
+/**
+ * Check whether the browser can read text aloud
+ * @returns {boolean} True if speech synthesis is available
+ */
+function isSpeechSupported() {
+  return 'speechSynthesis' in window && typeof window.SpeechSynthesisUtterance === 'function';
+}
+
+/**
+ * Get the recorded narration of an item in the active language
+ * Unlike localize(), there is no fallback: a recording in another language is read out instead
+ * @param {Object} item - Content item
+ * @returns {string|null} Audio path, or null if there is no recording
+ */
+function getNarrationUrl(item) {
+  const narrationField = item.narration;
+  if (!narrationField) return null;
+  
+  return typeof narrationField === 'string' ? narrationField : narrationField[AppState.language] || null;
+}
+
+/**
+ * Get the narration volume, within the venue's limit
+ * @returns {number} Volume (0-1)
+ */
+function getNarrationVolume() {
+  const volume = getNarrationSetting('volume');
+  const maxVolume = getNarrationSetting('maxVolume');
+  return Math.max(Math.min(volume, maxVolume, 1), 0);
+}
+
+/**
+ * Get a numeric narration setting, falling back to the default if config.json has no usable number
+ * @param {string} name - Setting name in the narration section (volume, maxVolume, speechRate)
+ * @returns {number} Setting value
+ */
+function getNarrationSetting(name) {
+  const value = AppState.config.narration[name];
+  const number = value === null || value === '' ? NaN : Number(value);
+  return Number.isFinite(number) ? number : DEFAULT_CONFIG.narration[name];
+}
+
+/**
+ * Show the "Listen" button when the current item can be narrated, labelled for the current state
+ */
+function updateListenButton() {
+  if (!Elements.listenBtn) return;
+  
+  const available = AppState.config.narration.enabled && Boolean(AppState.currentDecade) && 
+    (Boolean(getNarrationUrl(getCurrentContent())) || isSpeechSupported());
+  
+  Elements.listenBtn.classList.toggle('hidden', !available);
+  Elements.listenBtn.textContent = t(narration ? 'narration.stop' : 'narration.listen');
+  Elements.listenBtn.setAttribute('aria-pressed', String(Boolean(narration)));
+}
+
+/**
+ * Handle the "Listen" button - start or stop the narration of the current item
+ */
+function toggleNarration() {
+  if (narration) {
+    stopNarration();
+    return;
+  }
+  
+  if (!AppState.currentDecade) return;
+  
+  const item = getCurrentContent();
+  const url = getNarrationUrl(item);
+  
+  narration = {
+    decadeId: AppState.currentDecade.id,
+    itemIndex: AppState.currentItemIndex,
+    source: url ? 'audio' : 'speech',
+    utterance: null
+  };
+  recordEvent('narration_play', { decadeId: narration.decadeId, itemIndex: narration.itemIndex, source: narration.source });
+  
+  if (url && Elements.narrationAudio) {
+    const audio = Elements.narrationAudio;
+    audio.setAttribute('src', url);
+    audio.volume = getNarrationVolume();
+    const started = narration;
+    audio.play().catch(err => {
+      // Read the item out instead, unless it was stopped (or already switched by the error listener)
+      if (narration === started && narration.source === 'audio') {
+        console.warn('Narration play failed, using speech synthesis:', err);
+        speakNarration(item);
+      }
+    });
+  } else {
+    speakNarration(item);
+  }
+  
+  updateListenButton();
+}
+
+/**
+ * Read an item aloud with the browser's speech synthesis
+ * @param {Object} item - Content item
+ */
+function speakNarration(item) {
+  if (!narration || !isSpeechSupported()) {
+    finishNarration();
+    return;
+  }
+  
+  const utterance = new SpeechSynthesisUtterance(
+    [localize(item.title), localize(item.description)].filter(Boolean).join('. ')
+  );
+  const voice = speechSynthesis.getVoices().find(candidate => candidate.lang.startsWith(AppState.language));
+  
+  utterance.lang = voice ? voice.lang : AppState.language;
+  utterance.voice = voice || null;
+  utterance.volume = getNarrationVolume();
+  utterance.rate = getNarrationSetting('speechRate');
+  
+  // Ignore the end of an utterance that was cancelled and replaced
+  utterance.onend = () => {
+    if (narration && narration.utterance === utterance) {
+      finishNarration();
+    }
+  };
+  
+  narration.source = 'speech';
+  narration.utterance = utterance;
+  speechSynthesis.cancel();
+  speechSynthesis.speak(utterance);
+}
+
+/**
+ * Stop any narration (decade or item change, language change, quiz, idle reset)
+ */
+function stopNarration() {
+  if (!narration) return;
+  
+  if (Elements.narrationAudio) {
+    Elements.narrationAudio.pause();
+    Elements.narrationAudio.removeAttribute('src');
+  }
+  if (isSpeechSupported()) {
+    speechSynthesis.cancel();
+  }
+  
+  finishNarration();
+}
+
+/**
+ * The narration ended or was stopped
+ */
+function finishNarration() {
+  narration = null;
+  updateListenButton();
+}
+
+// Lightbox state
+let lightboxZoom = { scale: 1, x: 0, y: 0 }; // Image transform (translation from the stage centre, px)
+let lightboxPointers = new Map(); // Pointer ID -> { x, y } for the fingers on the image
+let lightboxGesture = null; // Zoom and finger positions when the current pan/pinch started
+let lightboxLastTap = 0;
+
+/**
+ * Setup the media lightbox: tap an image or video to open it full screen
+ * Zoom is handled here with pointer events; page-level zoom stays disabled
+ */
+function setupLightbox() {
+  if (!Elements.lightbox) return;
+  
+  [Elements.contentImage, Elements.contentVideo].forEach(media => {
+    if (media) {
+      onTap(media, openLightbox);
+      
+      // Focusable for keyboard users, who open it with Enter or Space
+      media.addEventListener('keydown', e => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          openLightbox();
+        }
+      });
+    }
+  });
+  
+  onTap(Elements.lightboxCloseBtn, closeLightbox);
+  onTap(Elements.lightboxZoomInBtn, () => zoomLightboxAt(lightboxZoom.scale * LIGHTBOX_ZOOM_STEP, { x: 0, y: 0 }));
+  onTap(Elements.lightboxZoomOutBtn, () => zoomLightboxAt(lightboxZoom.scale / LIGHTBOX_ZOOM_STEP, { x: 0, y: 0 }));
+  onTap(Elements.lightboxPlayBtn, toggleLightboxVideo);
+  
+  const stage = Elements.lightboxStage;
+  stage.addEventListener('pointerdown', handleLightboxPointerDown);
+  stage.addEventListener('pointermove', handleLightboxPointerMove);
+  stage.addEventListener('pointerup', handleLightboxPointerUp);
+  stage.addEventListener('pointercancel', handleLightboxPointerUp);
+  stage.addEventListener('wheel', handleLightboxWheel, { passive: false });
+  
+  const video = Elements.lightboxVideo;
+  ['play', 'pause', 'timeupdate', 'loadedmetadata'].forEach(type => {
+    video.addEventListener(type, updateLightboxVideoControls);
+  });
+  Elements.lightboxScrub.addEventListener('input', () => {
+    if (video.duration) {
+      video.currentTime = Elements.lightboxScrub.value / Elements.lightboxScrub.max * video.duration;
+    }
+  });
+  
+  Elements.lightbox.addEventListener('keydown', e => {
+    if (e.key === 'Escape') {
+      closeLightbox();
+    } else {
+      trapFocus(e);
+    }
+  });
+}
+
+/**
+ * Open the current image or video in the lightbox
+ */
+function openLightbox() {
+  if (!AppState.currentDecade || AppState.attractMode) return;
+  
+  const data = getCurrentContent();
+  const isVideo = !Elements.contentVideo.classList.contains('hidden');
+  const media = isVideo ? Elements.contentVideo : Elements.contentImage;
+  
+  // Nothing to enlarge
+  if (!media.getAttribute('src')) return;
+  
+  resetLightboxZoom();
+  Elements.lightboxImage.classList.toggle('hidden', isVideo);
+  Elements.lightboxVideo.classList.toggle('hidden', !isVideo);
+  Elements.lightboxZoomControls.classList.toggle('hidden', isVideo);
+  Elements.lightboxVideoControls.classList.toggle('hidden', !isVideo);
+  
+  if (isVideo) {
+    // Continue from where the content video was
+    const video = Elements.lightboxVideo;
+    const src = Elements.contentVideo.getAttribute('src');
+    const startAt = Elements.contentVideo.currentTime;
+    
+    Elements.contentVideo.pause();
+    if (video.getAttribute('src') !== src) {
+      video.setAttribute('src', src);
+      video.addEventListener('loadedmetadata', () => { video.currentTime = startAt; }, { once: true });
+    } else {
+      video.currentTime = startAt;
+    }
+    setVideoCaptions(video, data.captions);
+    video.play().catch(err => console.warn('Lightbox video play failed:', err));
+  } else {
+    Elements.lightboxImage.setAttribute('src', media.getAttribute('src'));
+    Elements.lightboxImage.alt = Elements.contentImage.alt;
+  }
+  
+  Elements.lightbox.classList.remove('hidden');
+  openModal(Elements.lightboxCloseBtn, media);
+  recordEvent('lightbox_open', { 
+    decadeId: AppState.currentDecade.id, 
+    itemIndex: AppState.currentItemIndex, 
+    mediaType: isVideo ? 'video' : 'image' 
+  });
+}
+
+/**
+ * Close the lightbox, resetting the zoom and handing playback back to the content video
+ */
+function closeLightbox() {
+  if (!Elements.lightbox || Elements.lightbox.classList.contains('hidden')) return;
+  
+  Elements.lightbox.classList.add('hidden');
+  resetLightboxZoom();
+  closeModal();
+  
+  const video = Elements.lightboxVideo;
+  if (!video.classList.contains('hidden')) {
+    video.pause();
+    
+    const contentVideo = Elements.contentVideo;
+    if (!contentVideo.classList.contains('hidden') && video.getAttribute('src') === contentVideo.getAttribute('src')) {
+      contentVideo.currentTime = video.currentTime;
+      contentVideo.play().catch(err => console.warn('Video play failed:', err));
+    }
+  }
+}
+
+/**
+ * Back to the fitted image
+ */
+function resetLightboxZoom() {
+  lightboxPointers.clear();
+  lightboxGesture = null;
+  lightboxLastTap = 0;
+  setLightboxZoom(1, 0, 0);
+}
+
+/**
+ * Apply a zoom, keeping the image within bounds (it can't be dragged off screen or shrunk below fit)
+ * @param {number} scale - Zoom factor (1 = fitted)
+ * @param {number} x - Horizontal translation from the stage centre (px)
+ * @param {number} y - Vertical translation from the stage centre (px)
+ */
+function setLightboxZoom(scale, x, y) {
+  const image = Elements.lightboxImage;
+  const stage = Elements.lightboxStage;
+  if (!image || !stage) return;
+  
+  const clampedScale = Math.min(Math.max(scale, 1), LIGHTBOX_MAX_ZOOM);
+  const maxX = Math.max(0, (image.offsetWidth * clampedScale - stage.clientWidth) / 2);
+  const maxY = Math.max(0, (image.offsetHeight * clampedScale - stage.clientHeight) / 2);
+  
+  lightboxZoom = {
+    scale: clampedScale,
+    x: Math.min(Math.max(x, -maxX), maxX),
+    y: Math.min(Math.max(y, -maxY), maxY)
+  };
+  image.style.transform = `translate(${lightboxZoom.x}px, ${lightboxZoom.y}px) scale(${lightboxZoom.scale})`;
+  
+  Elements.lightboxZoomOutBtn.disabled = clampedScale <= 1;
+  Elements.lightboxZoomInBtn.disabled = clampedScale >= LIGHTBOX_MAX_ZOOM;
+}
+
+/**
+ * Zoom keeping one point of the image under the same point of the screen
+ * @param {number} scale - New zoom factor
+ * @param {{x: number, y: number}} point - Fixed point, relative to the stage centre
+ */
+function zoomLightboxAt(scale, point) {
+  const { scale: current, x, y } = lightboxZoom;
+  const clampedScale = Math.min(Math.max(scale, 1), LIGHTBOX_MAX_ZOOM);
+  const ratio = clampedScale / current;
+  
+  setLightboxZoom(clampedScale, point.x - (point.x - x) * ratio, point.y - (point.y - y) * ratio);
+}
+
+/**
+ * Get a pointer position relative to the lightbox stage centre
+ * @param {{clientX: number, clientY: number}} e - Pointer event (or stored position)
+ * @returns {{x: number, y: number}} Position (px)
+ */
+function getLightboxPoint(e) {
+  const rect = Elements.lightboxStage.getBoundingClientRect();
+  return { x: e.clientX - rect.left - rect.width / 2, y: e.clientY - rect.top - rect.height / 2 };
+}
+
+/**
+ * Remember the zoom and finger positions at the start of a pan or pinch
+ */
+function startLightboxGesture() {
+  const points = Array.from(lightboxPointers.values()).map(getLightboxPoint);
+  
+  lightboxGesture = { ...lightboxZoom, points };
+  if (points.length > 1) {
+    lightboxGesture.distance = Math.hypot(points[1].x - points[0].x, points[1].y - points[0].y);
+    lightboxGesture.mid = { x: (points[0].x + points[1].x) / 2, y: (points[0].y + points[1].y) / 2 };
+  }
+}
+
+/**
+ * A finger touches the image
+ * @param {PointerEvent} e - Pointer event
+ */
+function handleLightboxPointerDown(e) {
+  if (Elements.lightboxImage.classList.contains('hidden')) return;
+  
+  if (Elements.lightboxStage.setPointerCapture) {
+    Elements.lightboxStage.setPointerCapture(e.pointerId);
+  }
+  lightboxPointers.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY });
+  startLightboxGesture();
+}
+
+/**
+ * Pan with one finger (once zoomed in), pinch with two
+ * @param {PointerEvent} e - Pointer event
+ */
+function handleLightboxPointerMove(e) {
+  if (!lightboxPointers.has(e.pointerId) || !lightboxGesture) return;
+  
+  lightboxPointers.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY });
+  const points = Array.from(lightboxPointers.values()).map(getLightboxPoint);
+  const gesture = lightboxGesture;
+  
+  if (points.length > 1 && gesture.distance) {
+    const distance = Math.hypot(points[1].x - points[0].x, points[1].y - points[0].y);
+    const mid = { x: (points[0].x + points[1].x) / 2, y: (points[0].y + points[1].y) / 2 };
+    const scale = Math.min(Math.max(gesture.scale * distance / gesture.distance, 1), LIGHTBOX_MAX_ZOOM);
+    
+    // The image point that was under the fingers' midpoint follows it
+    const ratio = scale / gesture.scale;
+    setLightboxZoom(scale, mid.x - (gesture.mid.x - gesture.x) * ratio, mid.y - (gesture.mid.y - gesture.y) * ratio);
+  } else if (points.length === 1 && gesture.scale > 1) {
+    setLightboxZoom(gesture.scale, gesture.x + points[0].x - gesture.points[0].x, gesture.y + points[0].y - gesture.points[0].y);
+  }
+}
+
+/**
+ * A finger lifts: continue with the remaining one, or toggle zoom on a double tap
+ * @param {PointerEvent} e - Pointer event
+ */
+function handleLightboxPointerUp(e) {
+  if (!lightboxPointers.has(e.pointerId)) return;
+  
+  const wasSingle = lightboxPointers.size === 1;
+  const start = lightboxGesture && lightboxGesture.points[0];
+  const point = getLightboxPoint(e);
+  lightboxPointers.delete(e.pointerId);
+  
+  if (lightboxPointers.size > 0) {
+    startLightboxGesture();
+    return;
+  }
+  lightboxGesture = null;
+  
+  const isTap = wasSingle && start && e.type === 'pointerup' && 
+    Math.hypot(point.x - start.x, point.y - start.y) <= TAP_MOVE_TOLERANCE;
+  if (!isTap) return;
+  
+  const now = Date.now();
+  if (now - lightboxLastTap < LIGHTBOX_DOUBLE_TAP_MS) {
+    lightboxLastTap = 0;
+    if (lightboxZoom.scale > 1) {
+      setLightboxZoom(1, 0, 0);
+    } else {
+      zoomLightboxAt(LIGHTBOX_DOUBLE_TAP_ZOOM, point);
+    }
+  } else {
+    lightboxLastTap = now;
+  }
+}
+
+/**
+ * Zoom with the mouse wheel or a trackpad
+ * @param {WheelEvent} e - Wheel event
+ */
+function handleLightboxWheel(e) {
+  e.preventDefault();
+  if (Elements.lightboxImage.classList.contains('hidden')) return;
+  
+  const factor = e.deltaY < 0 ? LIGHTBOX_WHEEL_STEP : 1 / LIGHTBOX_WHEEL_STEP;
+  zoomLightboxAt(lightboxZoom.scale * factor, getLightboxPoint(e));
+}
+
+/**
+ * Play or pause the lightbox video
+ */
+function toggleLightboxVideo() {
+  const video = Elements.lightboxVideo;
+  
+  if (video.paused) {
+    video.play().catch(err => console.warn('Lightbox video play failed:', err));
+  } else {
+    video.pause();
+  }
+}
+
+/**
+ * Sync the play button, scrub bar and time with the lightbox video
+ */
+function updateLightboxVideoControls() {
+  const video = Elements.lightboxVideo;
+  const duration = video.duration || 0;
+  
+  Elements.lightboxPlayBtn.textContent = t(video.paused ? 'lightbox.play' : 'lightbox.pause');
+  Elements.lightboxScrub.value = duration ? Math.round(video.currentTime / duration * Elements.lightboxScrub.max) : 0;
+  Elements.lightboxTime.textContent = `${formatMediaTime(video.currentTime)} / ${formatMediaTime(duration)}`;
+}
+
+/**
+ * Format a media position
+ * @param {number} seconds - Position in seconds
+ * @returns {string} Time as m:ss
+ */
+function formatMediaTime(seconds) {
+  const total = Math.floor(seconds || 0);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// Search state
+let searchIndex = []; // One entry per content item, built locally from content.json (works offline)
+
+// On-screen keyboard rows (space, delete and clear are added below them)
+const SEARCH_KEYBOARD_ROWS = ['1234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+const SEARCH_MAX_LENGTH = 40;
+
+/**
+ * Setup the search button, the search panel and its on-screen keyboard
+ */
+function setupSearch() {
+  if (!Elements.searchPanel) return;
+  
+  onTap(Elements.searchBtn, openSearch);
+  onTap(Elements.searchCloseBtn, handleSearchClose);
+  onTap(Elements.searchClearBtn, () => handleSearchKey('clear'));
+  
+  initSearchKeyboard();
+  
+  // Keyboard users (accessibility mode) can also type on a physical keyboard
+  Elements.searchPanel.addEventListener('keydown', e => {
+    if (e.key === 'Escape') {
+      handleSearchClose();
+    } else if (e.key === 'Backspace') {
+      e.preventDefault();
+      handleSearchKey('backspace');
+    } else if (e.key.length === 1 && /[\p{L}\p{N}]/u.test(e.key) && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      e.preventDefault();
+      handleSearchKey(e.key);
+    } else {
+      trapFocus(e);
+    }
+  });
+}
+
+/**
+ * Build the on-screen keyboard (letters and digits, then space, delete and clear)
+ */
+function initSearchKeyboard() {
+  Elements.searchKeyboard.innerHTML = '';
+  
+  const rows = SEARCH_KEYBOARD_ROWS.map(row => row.split(''));
+  rows.push(['space', 'backspace', 'clear']);
+  
+  rows.forEach(keys => {
+    const row = document.createElement('div');
+    row.className = 'search-keyboard-row';
+    
+    keys.forEach(key => {
+      const button = document.createElement('button');
+      button.className = 'search-key';
+      
+      if (key.length > 1) {
+        button.classList.add(`search-key-${key}`);
+        button.setAttribute('data-i18n', `search.${key}`);
+        button.textContent = t(`search.${key}`);
+      } else {
+        button.textContent = key;
+      }
+      
+      // Short debounce so repeated letters (e.g., "ll") can be typed quickly
+      onTap(button, () => handleSearchKey(key), { debounceMs: 100 });
+      
+      row.appendChild(button);
+    });
+    
+    Elements.searchKeyboard.appendChild(row);
+  });
+}
+
+/**
+ * Lowercase text and strip accents, so "eq" finds "Équipe" and typing needs no accent keys
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeSearchText(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Get every language's version of a text value
+ * @param {string|Object} value - Plain string or object keyed by language
+ * @returns {Array<string>} Texts
+ */
+function getTextVariants(value) {
+  if (!value) return [];
+  return typeof value === 'string' ? [value] : Object.values(value);
+}
+
+/**
+ * Get the key identifying a tag value across items
+ * @param {string|Object} value - Tag value (plain string or object keyed by language)
+ * @returns {string} Normalized text in the fallback language
+ */
+function getSearchTagKey(value) {
+  const text = typeof value === 'string' ? value : (value[FALLBACK_LANGUAGE] || Object.values(value)[0]);
+  return normalizeSearchText(text);
+}
+
+/**
+ * Index every content item: its text in all languages (so a search in either language matches) and its tags
+ * Placeholder decades without content are not indexed
+ */
+function buildSearchIndex() {
+  searchIndex = [];
+  
+  AppState.decades.forEach(decade => {
+    if (!AppState.contentData[decade.id]) return;
+    
+    getDecadeItems(decade.id).forEach((item, itemIndex) => {
+      const words = [decade.id, item.year, ...getTextVariants(item.title), ...getTextVariants(item.description), ...getTextVariants(item.caption)];
+      const tags = {};
+      
+      SEARCH_TAG_CATEGORIES.forEach(category => {
+        const values = item.tags && Array.isArray(item.tags[category]) ? item.tags[category] : [];
+        tags[category] = values.map(value => ({ key: getSearchTagKey(value), value }));
+        values.forEach(value => words.push(...getTextVariants(value)));
+      });
+      
+      searchIndex.push({
+        decadeId: decade.id,
+        itemIndex,
+        item,
+        tags,
+        text: normalizeSearchText(words.filter(word => word !== undefined && word !== null).join(' '))
+      });
+    });
+  });
+}
+
+/**
+ * Find the items matching a query and tag filters
+ * Every word of the query must appear in the item, and the item must carry every selected tag
+ * @param {string} query - Typed text
+ * @param {Object} filters - Selected tag key per category
+ * @returns {Array<Object>} Matching index entries, in decade order
+ */
+function searchContent(query, filters) {
+  const words = normalizeSearchText(query).split(/\s+/).filter(Boolean);
+  
+  return searchIndex.filter(entry => 
+    words.every(word => entry.text.includes(word)) && 
+    Object.keys(filters).every(category => entry.tags[category].some(tag => tag.key === filters[category]))
+  );
+}
+
+/**
+ * Get the distinct tag values of each category, for the filter chips
+ * @returns {Object} Category -> Array of { key, value }, sorted by label
+ */
+function getSearchFacets() {
+  const facets = {};
+  
+  SEARCH_TAG_CATEGORIES.forEach(category => {
+    const values = new Map();
+    searchIndex.forEach(entry => {
+      entry.tags[category].forEach(tag => {
+        if (!values.has(tag.key)) {
+          values.set(tag.key, tag);
+        }
+      });
+    });
+    
+    facets[category] = Array.from(values.values())
+      .sort((a, b) => localize(a.value).localeCompare(localize(b.value), AppState.language));
+  });
+  
+  return facets;
+}
+
+/**
+ * Open the search panel with an empty query and no filters (every item is listed)
+ */
+function openSearch() {
+  if (!Elements.searchPanel) return;
+  
+  closeQuiz();
+  closeTimelinePopover();
+  stopNarration();
+  if (Elements.contentVideo) {
+    Elements.contentVideo.pause();
+  }
+  
+  AppState.search = { query: '', filters: {} };
+  Elements.searchPanel.classList.remove('hidden');
+  openModal(Elements.searchQuery, Elements.searchBtn);
+  
+  recordEvent('search_open', { decadeId: AppState.currentDecade ? AppState.currentDecade.id : null });
+  renderSearchFilters();
+  updateSearchResults();
+}
+
+/**
+ * Close the search panel
+ */
+function closeSearch() {
+  if (!AppState.search) return;
+  
+  AppState.search = null;
+  Elements.searchPanel.classList.add('hidden');
+  closeModal();
+}
+
+/**
+ * Handle the search close button - close the panel and resume the decade's video
+ */
+function handleSearchClose() {
+  closeSearch();
+  
+  const video = Elements.contentVideo;
+  if (video && !video.classList.contains('hidden')) {
+    video.play().catch(err => console.warn('Video play failed:', err));
+  }
+}
+
+/**
+ * Handle a key of the on-screen keyboard (or a typed character)
+ * @param {string} key - Character, 'space', 'backspace' or 'clear'
+ */
+function handleSearchKey(key) {
+  const search = AppState.search;
+  if (!search) return;
+  
+  if (key === 'clear') {
+    search.query = '';
+  } else if (key === 'backspace') {
+    search.query = search.query.slice(0, -1);
+  } else if (search.query.length < SEARCH_MAX_LENGTH) {
+    if (key !== 'space') {
+      search.query += key.toLowerCase();
+    } else if (search.query && !search.query.endsWith(' ')) {
+      search.query += ' ';
+    }
+  }
+  
+  updateSearchResults();
+}
+
+/**
+ * Select a tag filter, or clear it if already selected (one value per category)
+ * @param {string} category - Tag category
+ * @param {string} key - Tag key
+ */
+function toggleSearchFilter(category, key) {
+  const search = AppState.search;
+  if (!search) return;
+  
+  if (search.filters[category] === key) {
+    delete search.filters[category];
+  } else {
+    search.filters[category] = key;
+  }
+  
+  Elements.searchFilters.querySelectorAll('.search-chip').forEach(chip => {
+    const selected = search.filters[chip.getAttribute('data-category')] === chip.getAttribute('data-key');
+    chip.setAttribute('aria-pressed', String(selected));
+  });
+  
+  updateSearchResults();
+}
+
+/**
+ * Render the filter chips, one row per tag category that has values
+ */
+function renderSearchFilters() {
+  const search = AppState.search;
+  if (!search) return;
+  
+  const facets = getSearchFacets();
+  Elements.searchFilters.innerHTML = '';
+  
+  SEARCH_TAG_CATEGORIES.forEach(category => {
+    if (facets[category].length === 0) return;
+    
+    const group = document.createElement('div');
+    group.className = 'search-filter-group';
+    
+    const label = document.createElement('span');
+    label.className = 'search-filter-label';
+    label.textContent = t(`search.category.${category}`);
+    group.appendChild(label);
+    
+    const chips = document.createElement('div');
+    chips.className = 'search-filter-chips';
+    chips.setAttribute('role', 'group');
+    chips.setAttribute('aria-label', label.textContent);
+    
+    facets[category].forEach(tag => {
+      const chip = document.createElement('button');
+      chip.className = 'search-chip';
+      chip.textContent = localize(tag.value);
+      chip.setAttribute('data-category', category);
+      chip.setAttribute('data-key', tag.key);
+      chip.setAttribute('aria-pressed', String(search.filters[category] === tag.key));
+      onTap(chip, () => toggleSearchFilter(category, tag.key));
+      chips.appendChild(chip);
+    });
+    
+    group.appendChild(chips);
+    Elements.searchFilters.appendChild(group);
+  });
+}
+
+/**
+ * Show the query, then the matching items as cards
+ */
+function updateSearchResults() {
+  const search = AppState.search;
+  if (!search) return;
+  
+  Elements.searchQuery.textContent = search.query || t('search.placeholder');
+  Elements.searchQuery.classList.toggle('empty', !search.query);
+  
+  const results = searchContent(search.query, search.filters);
+  const summary = results.length === 0 ? t('search.noResults') : 
+    results.length === 1 ? t('search.resultsOne') : t('search.results', { count: results.length });
+  
+  Elements.searchCount.textContent = summary;
+  Elements.searchResults.innerHTML = '';
+  results.forEach(entry => Elements.searchResults.appendChild(createSearchResultCard(entry)));
+  
+  announce(summary);
+}
+
+/**
+ * Build the card for a search result: thumbnail, era and year, title
+ * @param {Object} entry - Search index entry
+ * @returns {HTMLElement} Card button
+ */
+function createSearchResultCard(entry) {
+  const { item } = entry;
+  const card = document.createElement('button');
+  card.className = 'search-result';
+  
+  // Images show themselves, videos their poster frame
+  const thumbnail = item.mediaType === 'image' ? item.media : item.poster;
+  if (thumbnail) {
+    const image = document.createElement('img');
+    image.className = 'search-result-thumbnail';
+    image.src = thumbnail;
+    image.alt = '';
+    card.appendChild(image);
+  }
+  
+  const decade = AppState.decades.find(candidate => candidate.id === entry.decadeId);
+  const meta = document.createElement('span');
+  meta.className = 'search-result-meta';
+  meta.textContent = Number.isInteger(item.year) ? `${getDecadeLabel(decade)} · ${item.year}` : getDecadeLabel(decade);
+  card.appendChild(meta);
+  
+  const title = document.createElement('span');
+  title.className = 'search-result-title';
+  title.textContent = localize(item.title);
+  card.appendChild(title);
+  
+  onTap(card, () => openSearchResult(entry));
+  return card;
+}
+
+/**
+ * Open a search result's decade and item
+ * @param {Object} entry - Search index entry
+ */
+function openSearchResult(entry) {
+  const search = AppState.search;
+  if (!search) return;
+  
+  // Visitors type people's names: only the query length leaves the kiosk
+  recordEvent('search_select', { 
+    queryLength: search.query.trim().length, 
+    filters: { ...search.filters }, 
+    decadeId: entry.decadeId, 
+    itemIndex: entry.itemIndex 
+  });
+  
+  navigateToDecade(entry.decadeId, entry.itemIndex);
+  handleSearchClose();
+}
+
+// Telemetry queue, drained by the service worker (same schema as service-worker.js)
+const TELEMETRY_DB_NAME = 'totem-telemetry';
+const TELEMETRY_STORE = 'events';
+const KIOSK_ID_KEY = 'totem_kiosk_id';
+
+// Telemetry state
+const pageLoadedAt = Date.now();
+let telemetryDb = null; // Promise of the open database (null if unavailable)
+let telemetryTimer = null;
+let telemetrySession = null; // { id, start } while a visitor is using the kiosk
+let decadeView = null; // { decadeId, start } for dwell time
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} Request result
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the telemetry queue database once
+ * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB is unavailable
+ */
+function openTelemetryDb() {
+  if (!telemetryDb) {
+    if (!('indexedDB' in window)) {
+      telemetryDb = Promise.resolve(null);
+      return telemetryDb;
+    }
+    
+    const request = indexedDB.open(TELEMETRY_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(TELEMETRY_STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    telemetryDb = idbRequest(request).catch(error => {
+      console.warn('Telemetry storage unavailable:', error);
+      return null;
+    });
+  }
+  return telemetryDb;
+}
+
+/**
+ * Queue an interaction event for upload
+ * Works offline; the oldest events are dropped beyond the storage cap
+ * @param {string} type - Event type (e.g., 'decade_view')
+ * @param {Object} data - Event details
+ */
+async function recordEvent(type, data = {}) {
+  const { enabled, maxStoredEvents } = AppState.config.telemetry;
+  if (!enabled) return;
+  
+  // Capture context now: an idle reset clears the session right after recording
+  const event = {
+    type,
+    time: Date.now(),
+    sessionId: telemetrySession ? telemetrySession.id : null,
+    language: AppState.language,
+    data
+  };
+  
+  const db = await openTelemetryDb();
+  if (!db) return;
+  
+  try {
+    const store = db.transaction(TELEMETRY_STORE, 'readwrite').objectStore(TELEMETRY_STORE);
+    await idbRequest(store.add(event));
+    
+    let excess = await idbRequest(store.count()) - maxStoredEvents;
+    if (excess <= 0) return;
+    
+    // Keys increase with time, so the cursor starts at the oldest event
+    const cursorRequest = store.openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor || excess <= 0) return;
+      cursor.delete();
+      excess--;
+      cursor.continue();
+    };
+  } catch (error) {
+    console.warn('Failed to record telemetry event:', type, error);
+  }
+}
+
+/**
+ * Start recording interactions and schedule uploads
+ */
+function setupTelemetry() {
+  if (Elements.contentVideo) {
+    Elements.contentVideo.addEventListener('play', handleContentVideoPlay);
+  }
+  
+  scheduleTelemetryFlush();
+}
+
+/**
+ * A visitor started using the kiosk
+ * @param {string} source - 'start_button' or 'attract' (took over the tour)
+ */
+function startTelemetrySession(source) {
+  telemetrySession = { id: createEventId(), start: Date.now() };
+  recordEvent('session_start', { source });
+}
+
+/**
+ * The visitor left (idle reset): close the dwell time and the session
+ */
+function endTelemetrySession() {
+  if (!telemetrySession) return;
+  
+  endDecadeView();
+  recordEvent('idle_reset', { sessionSeconds: Math.round((Date.now() - telemetrySession.start) / 1000) });
+  telemetrySession = null;
+}
+
+/**
+ * Record a decade view and start timing how long the visitor stays
+ * The attract tour is not recorded, only visitor choices
+ * @param {string} decadeId - Decade shown
+ * @param {number} itemIndex - Item shown within the decade
+ */
+function trackDecadeView(decadeId, itemIndex) {
+  if (AppState.attractMode || !telemetrySession) return;
+  if (decadeView && decadeView.decadeId === decadeId) return;
+  
+  endDecadeView();
+  decadeView = { decadeId, start: Date.now() };
+  recordEvent('decade_view', { decadeId, itemIndex });
+}
+
+/**
+ * Record how long the current decade was on screen
+ */
+function endDecadeView() {
+  if (!decadeView) return;
   
-  const currentIndex = AppState.decades.findIndex(d => d.id === AppState.currentDecade.id);
+  recordEvent('decade_dwell', { 
+    decadeId: decadeView.decadeId, 
+    seconds: Math.round((Date.now() - decadeView.start) / 1000) 
+  });
+  decadeView = null;
+}
+
+/**
+ * Record a content video starting to play for a visitor
+ */
+function handleContentVideoPlay() {
+  if (AppState.attractMode || !telemetrySession || !AppState.currentDecade) return;
   
-  if (Elements.prevBtn) {
-    Elements.prevBtn.disabled = currentIndex === 0;
-    Elements.prevBtn.classList.toggle('disabled', currentIndex === 0);
+  recordEvent('video_play', { 
+    decadeId: AppState.currentDecade.id, 
+    itemIndex: AppState.currentItemIndex, 
+    src: Elements.contentVideo.getAttribute('src') 
+  });
+}
+
+/**
+ * Random ID for sessions and kiosks
+ * @returns {string} ID
+ */
+function createEventId() {
+  return window.crypto && crypto.randomUUID 
+    ? crypto.randomUUID() 
+    : Date.now().toString(36) + Math.random().toString(36).slice(2);
+}
+
+/**
+ * Get this kiosk's telemetry ID: from config.json, or generated once per device
+ * @returns {string} Kiosk ID
+ */
+function getKioskId() {
+  if (AppState.config.telemetry.kioskId) {
+    return AppState.config.telemetry.kioskId;
   }
   
-  if (Elements.nextBtn) {
-    Elements.nextBtn.disabled = currentIndex === AppState.decades.length - 1;
-    Elements.nextBtn.classList.toggle('disabled', currentIndex === AppState.decades.length - 1);
+  let kioskId = localStorage.getItem(KIOSK_ID_KEY);
+  if (!kioskId) {
+    kioskId = createEventId();
+    localStorage.setItem(KIOSK_ID_KEY, kioskId);
   }
+  return kioskId;
 }
 
-// Version checking state
-let currentVersion = null;
-let versionCheckInterval = null;
-let refreshing = false;
+/**
+ * Schedule the next telemetry upload, jittered by ±20% so a fleet doesn't upload in lockstep
+ */
+function scheduleTelemetryFlush() {
+  clearTimeout(telemetryTimer);
+  
+  const intervalMs = AppState.config.telemetry.uploadIntervalSeconds * 1000;
+  telemetryTimer = setTimeout(flushTelemetry, intervalMs * (0.8 + Math.random() * 0.4));
+}
 
 /**
- * Fetch and compare version.json with cached version
- * @returns {Promise<boolean>} True if new version detected
+ * Ask the service worker to upload queued events and the heartbeat
  */
-async function checkVersionUpdate() {
-  try {
-    // Fetch version.json with cache busting (use relative path for GitHub Pages subdirectory)
-    const basePath = window.location.pathname.replace(/\/[^/]*$/, '') || '';
-    const versionUrl = basePath + '/version.json?t=' + Date.now();
-    const response = await fetch(versionUrl, { 
-      cache: 'no-store',
-      headers: {
-        'Cache-Control': 'no-cache'
-      }
-    });
-    
-    if (!response.ok) {
-      console.warn('Failed to fetch version.json:', response.status);
-      return false;
-    }
-    
-    const data = await response.json();
-    const onlineVersion = data.version;
-    
-    if (!onlineVersion) {
-      console.warn('No version in version.json');
-      return false;
-    }
-    
-    // Get cached version from localStorage or default
-    const cachedVersion = localStorage.getItem('app_version') || currentVersion;
-    
-    console.log('Version check - Online:', onlineVersion, 'Cached:', cachedVersion);
-    
-    // If versions differ, update is available
-    if (cachedVersion && cachedVersion !== onlineVersion) {
-      console.log('New version detected! Updating from', cachedVersion, 'to', onlineVersion);
-      
-      // Update stored version
-      localStorage.setItem('app_version', onlineVersion);
-      currentVersion = onlineVersion;
-      
-      // Trigger service worker to update cache
-      if (navigator.serviceWorker.controller) {
-        navigator.serviceWorker.controller.postMessage({ 
-          type: 'UPDATE_VERSION', 
-          version: onlineVersion 
-        });
+async function flushTelemetry() {
+  const { enabled, endpoint, batchSize, heartbeatSeconds } = AppState.config.telemetry;
+  
+  if (enabled && endpoint && navigator.onLine) {
+    await requestServiceWorker(MessageType.FLUSH_TELEMETRY, {
+      endpoint,
+      kioskId: getKioskId(),
+      batchSize,
+      heartbeatSeconds,
+      heartbeat: {
+        uptimeSeconds: Math.round((Date.now() - pageLoadedAt) / 1000),
+        screen: isSessionActive() ? 'session' : (AppState.attractMode ? 'attract' : 'intro'),
+        language: AppState.language,
+        contentVersion: AppState.contentVersion
       }
-      
-      return true;
-    } else if (!cachedVersion) {
-      // First time, store the version
-      localStorage.setItem('app_version', onlineVersion);
-      currentVersion = onlineVersion;
-    }
-    
-    return false;
-  } catch (error) {
-    // Silently fail when offline - this is expected
-    if (error.name === 'TypeError' && error.message.includes('fetch')) {
-      // Network error, offline - this is normal
-      return false;
-    }
-    console.warn('Error checking version:', error);
-    return false;
+    }, SW_LONG_REQUEST_TIMEOUT_MS);
   }
+  
+  scheduleTelemetryFlush();
 }
 
+// Admin panel state
+let adminLongPressTimer = null;
+let adminPinTimeout = null;
+let adminPinEntry = '';
+
+// Close the PIN pad if nothing is entered for this long
+const ADMIN_PIN_TIMEOUT_MS = 20 * 1000;
+
 /**
- * Setup periodic version checking
+ * Setup the hidden admin/maintenance panel
+ * Long-pressing the top-left corner opens a PIN pad; the right PIN opens the panel.
+ * Staff-facing only, so its text is not translated.
  */
-function setupVersionChecking() {
-  // Check immediately if online
-  if (navigator.onLine) {
-    setTimeout(() => {
-      checkVersionUpdate().then(hasUpdate => {
-        if (hasUpdate) {
-          triggerReload();
-        }
-      });
-    }, 3000); // Wait 3 seconds after page load
-  }
+function setupAdminPanel() {
+  if (!Elements.adminHotspot || !Elements.adminPanel) return;
   
-  // Check every 1 minute when online (more frequent for better responsiveness)
-  versionCheckInterval = setInterval(() => {
-    if (navigator.onLine) {
-      checkVersionUpdate().then(hasUpdate => {
-        if (hasUpdate) {
-          triggerReload();
-        }
-      });
-    }
-  }, 60 * 1000); // Check every 1 minute
+  const cancelLongPress = () => clearTimeout(adminLongPressTimer);
   
-  // Check immediately when coming back online
-  window.addEventListener('online', () => {
-    console.log('Connection restored, checking for version update...');
-    setTimeout(() => {
-      checkVersionUpdate().then(hasUpdate => {
-        if (hasUpdate) {
-          triggerReload();
-        }
-      });
-    }, 1000); // Small delay to ensure connection is stable
+  Elements.adminHotspot.addEventListener('pointerdown', e => {
+    if (!e.isPrimary) return;
+    cancelLongPress();
+    adminLongPressTimer = setTimeout(showAdminPinDialog, AppState.config.admin.longPressSeconds * 1000);
+  });
+  Elements.adminHotspot.addEventListener('pointerup', cancelLongPress);
+  Elements.adminHotspot.addEventListener('pointercancel', cancelLongPress);
+  Elements.adminHotspot.addEventListener('pointerleave', cancelLongPress);
+  
+  initAdminPinPad();
+  
+  // Panel actions
+  const actions = {
+    'admin-check-update-btn': handleAdminCheckUpdate,
+    'admin-clear-cache-btn': handleAdminClearCaches,
+    'admin-reload-btn': handleAdminReload,
+    'admin-close-btn': closeAdminPanel,
+    'admin-pin-cancel-btn': closeAdminPinDialog
+  };
+  
+  Object.keys(actions).forEach(id => {
+    const button = document.getElementById(id);
+    if (button) {
+      onTap(button, actions[id]);
+    }
   });
 }
 
 /**
- * Trigger page reload for update
+ * Build the PIN pad buttons (digits, clear, enter)
  */
-function triggerReload() {
-  if (refreshing) return;
+function initAdminPinPad() {
+  if (!Elements.adminPinPad) return;
   
-  console.log('Triggering page reload for update...');
-  refreshing = true;
+  Elements.adminPinPad.innerHTML = '';
   
-  // Small delay to ensure any cache updates are complete
-  setTimeout(() => {
-    window.location.reload();
-  }, 500);
+  ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'C', '0', 'OK'].forEach(key => {
+    const button = document.createElement('button');
+    button.className = 'admin-pin-key';
+    button.textContent = key;
+    
+    // Short debounce so repeated digits (e.g., "11") can be typed quickly
+    onTap(button, () => handleAdminPinKey(key), { debounceMs: 100 });
+    
+    Elements.adminPinPad.appendChild(button);
+  });
 }
 
 /**
- * Setup service worker registration and update detection
- * Automatically refreshes the page when a new service worker is installed
+ * Check whether the admin PIN pad or panel is open
+ * @returns {boolean} True if staff are using the admin UI
  */
-function setupServiceWorkerHandlers() {
-  if (!('serviceWorker' in navigator)) {
-    console.warn('Service Workers not supported');
+function isAdminOpen() {
+  return (Elements.adminPanel && !Elements.adminPanel.classList.contains('hidden')) || 
+    (Elements.adminPinDialog && !Elements.adminPinDialog.classList.contains('hidden'));
+}
+
+/**
+ * Show the PIN pad
+ */
+function showAdminPinDialog() {
+  if (!Elements.adminPinDialog) return;
+  
+  if (!getAdminPin()) {
+    console.warn('Admin panel disabled: set a numeric admin.pin in config.json');
     return;
   }
   
-  let registration = null;
+  adminPinEntry = '';
+  updateAdminPinDisplay('');
+  Elements.adminPinDialog.classList.remove('hidden');
+  restartAdminPinTimeout();
+}
+
+/**
+ * Hide the PIN pad and forget any partial entry
+ */
+function closeAdminPinDialog() {
+  clearTimeout(adminPinTimeout);
+  adminPinEntry = '';
   
-  // Register service worker (use relative path for GitHub Pages subdirectory)
-  const basePath = window.location.pathname.replace(/\/[^/]*$/, '') || '';
-  const swPath = basePath + '/service-worker.js';
-  const swScope = basePath + '/';
+  if (Elements.adminPinDialog) {
+    Elements.adminPinDialog.classList.add('hidden');
+  }
+}
+
+/**
+ * Restart the inactivity timeout of the PIN pad
+ */
+function restartAdminPinTimeout() {
+  clearTimeout(adminPinTimeout);
+  adminPinTimeout = setTimeout(closeAdminPinDialog, ADMIN_PIN_TIMEOUT_MS);
+}
+
+/**
+ * Get the venue's staff PIN
+ * @returns {string|null} The PIN, or null if none (or one that can't be typed on the pad) is configured
+ */
+function getAdminPin() {
+  const pin = AppState.config.admin.pin;
+  if (pin === null || pin === undefined) return null;
   
-  navigator.serviceWorker.register(swPath, { scope: swScope })
-    .then(reg => {
-      registration = reg;
-      console.log('Service Worker registered:', reg.scope);
-      
-      // Check for service worker file updates
-      checkForServiceWorkerUpdate(reg);
-      
-      // Listen for updates
-      reg.addEventListener('updatefound', () => {
-        console.log('New service worker found, installing...');
-        const newWorker = reg.installing;
-        
-        if (!newWorker) return;
-        
-        newWorker.addEventListener('statechange', () => {
-          // When new worker reaches 'installed' state
-          if (newWorker.state === 'installed') {
-            // If there's already a controller (active service worker), reload
-            if (navigator.serviceWorker.controller) {
-              console.log('New service worker installed, reloading page...');
-              triggerReload();
-            } else {
-              console.log('Service worker installed for the first time');
-            }
-          }
-          
-          // When new worker becomes 'activated', reload if not already refreshing
-          if (newWorker.state === 'activated') {
-            if (navigator.serviceWorker.controller && !refreshing) {
-              console.log('New service worker activated, reloading page...');
-              triggerReload();
-            }
-          }
-        });
-      });
-      
-      // Listen for controller change (backup mechanism)
-      navigator.serviceWorker.addEventListener('controllerchange', () => {
-        if (!refreshing) {
-          console.log('Service worker controller changed, reloading page...');
-          triggerReload();
-        }
-      });
-    })
-    .catch(err => {
-      console.error('Service Worker registration failed:', err);
-    });
+  const text = String(pin).trim();
+  return /^\d+$/.test(text) ? text : null;
+}
+
+/**
+ * Handle a key press on the PIN pad
+ * @param {string} key - Digit, 'C' (clear) or 'OK' (submit)
+ */
+function handleAdminPinKey(key) {
+  restartAdminPinTimeout();
   
-  // Listen for messages from service worker
-  navigator.serviceWorker.addEventListener('message', event => {
-    if (event.data && event.data.type === 'UPDATE_AVAILABLE') {
-      console.log('Update available, version:', event.data.version);
-      triggerReload();
-    } else if (event.data && event.data.type === 'CACHE_UPDATED') {
-      console.log('Cache updated to version:', event.data.version);
-      triggerReload();
+  if (key === 'C') {
+    adminPinEntry = '';
+    updateAdminPinDisplay('');
+    return;
+  }
+  
+  if (key === 'OK') {
+    const pin = getAdminPin();
+    if (pin && adminPinEntry === pin) {
+      closeAdminPinDialog();
+      openAdminPanel();
+    } else {
+      adminPinEntry = '';
+      updateAdminPinDisplay('Incorrect PIN');
     }
-  });
+    return;
+  }
   
-  // Setup version checking
-  setupVersionChecking();
+  adminPinEntry += key;
+  updateAdminPinDisplay('');
 }
 
 /**
- * Check for service worker update
- * @param {ServiceWorkerRegistration} registration - The service worker registration
+ * Show the masked PIN entry and an optional message
+ * @param {string} message - Message shown under the PIN (e.g., an error)
  */
-function checkForServiceWorkerUpdate(registration) {
-  if (!registration) return;
+function updateAdminPinDisplay(message) {
+  if (Elements.adminPinDisplay) {
+    Elements.adminPinDisplay.textContent = '•'.repeat(adminPinEntry.length);
+  }
+  if (Elements.adminPinMessage) {
+    Elements.adminPinMessage.textContent = message;
+  }
+}
+
+/**
+ * Open the admin panel and load diagnostics
+ */
+function openAdminPanel() {
+  console.log('Admin panel opened');
+  Elements.adminPanel.classList.remove('hidden');
+  refreshAdminStatus();
+}
+
+/**
+ * Close the admin panel
+ */
+function closeAdminPanel() {
+  Elements.adminPanel.classList.add('hidden');
+}
+
+/**
+ * Collect diagnostics and render them in the admin panel
+ */
+async function refreshAdminStatus() {
+  renderAdminStatus({ 'Status': 'Loading...' });
   
-  registration.update()
-    .then(() => {
-      console.log('Service worker update check completed');
-    })
-    .catch(err => {
-      console.warn('Service worker update check failed:', err);
-    });
+  const swStatus = await requestServiceWorkerStatus();
+  const worker = swRegistration && (swRegistration.active || swRegistration.waiting || swRegistration.installing);
+  const update = swStatus && swStatus.update;
+  const lastCheck = update && update.lastCheck;
+  
+  renderAdminStatus({
+    'App version': swStatus && swStatus.version ? swStatus.version : 'unknown',
+    'Content version': AppState.contentVersion || 'unknown',
+    'Service worker': worker ? worker.state : ('serviceWorker' in navigator ? 'not registered' : 'not supported'),
+    'Controlling page': navigator.serviceWorker && navigator.serviceWorker.controller ? 'yes' : 'no',
+    'Cache name': swStatus ? swStatus.cacheName : 'unavailable',
+    'Cache size': swStatus ? `${swStatus.entries} files, ${formatBytes(swStatus.bytes)}` : 'unavailable',
+    'Rollback slot': swStatus 
+      ? (swStatus.previousVersion ? `${swStatus.previousVersion}${swStatus.pending ? ' (new version not yet confirmed)' : ''}` : 'none') 
+      : 'unavailable',
+    'Failed versions': swStatus && swStatus.failedVersions && swStatus.failedVersions.length 
+      ? swStatus.failedVersions.join(', ') 
+      : 'none',
+    'Update state': update 
+      ? `${update.state}${update.version ? ' ' + update.version : ''}${update.error ? ' – ' + update.error : ''}` 
+      : 'unavailable',
+    'Deferred update': pendingUpdate 
+      ? `${pendingUpdate.version || 'new service worker'} (${pendingUpdate.reason}, waiting since ${new Date(pendingUpdate.since).toLocaleTimeString()})` 
+      : 'none',
+    'Update policy': describeUpdatePolicy(),
+    'Telemetry': describeTelemetryStatus(swStatus && swStatus.telemetry),
+    'Online': navigator.onLine ? 'yes' : 'no',
+    'Last update check': lastCheck 
+      ? `${new Date(lastCheck.time).toLocaleString()} (${lastCheck.onlineVersion ? 'online version ' + lastCheck.onlineVersion : 'failed'})` 
+      : 'never',
+    'Next update check': nextUpdateCheckAt 
+      ? `${new Date(nextUpdateCheckAt).toLocaleTimeString()}${updateCheckFailures ? ` (backing off after ${updateCheckFailures} failures)` : ''}` 
+      : 'not scheduled'
+  });
 }
 
 /**
- * Disable interactions that are not suitable for kiosk mode
+ * Render diagnostics rows into the admin panel
+ * @param {Object} rows - Label to value map
  */
-function disableKioskInteractions() {
-  // Disable text selection
-  document.addEventListener('selectstart', e => e.preventDefault());
-  document.addEventListener('dragstart', e => e.preventDefault());
+function renderAdminStatus(rows) {
+  if (!Elements.adminStatus) return;
   
-  // Disable context menu
-  document.addEventListener('contextmenu', e => e.preventDefault());
+  Elements.adminStatus.innerHTML = '';
   
-  // Disable pinch zoom and double-tap zoom
-  document.addEventListener('touchstart', e => {
-    if (e.touches.length > 1) {
-      e.preventDefault();
-    }
-  }, { passive: false });
+  Object.keys(rows).forEach(label => {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const value = document.createElement('dd');
+    value.textContent = rows[label];
+    Elements.adminStatus.append(term, value);
+  });
+}
+
+/**
+ * Describe when deferred updates are applied, for the admin panel
+ * @returns {string} Human-readable policy
+ */
+function describeUpdatePolicy() {
+  const { applyWhenIdle, maintenanceStart, maintenanceEnd } = AppState.config.updates;
+  const parts = [];
   
-  document.addEventListener('touchend', e => {
-    const now = Date.now();
-    if (now - (disableKioskInteractions.lastTouchEnd || 0) < 300) {
-      e.preventDefault();
-    }
-    disableKioskInteractions.lastTouchEnd = now;
-  }, { passive: false });
+  if (applyWhenIdle) parts.push('when idle');
+  if (parseTimeOfDay(maintenanceStart) !== null && parseTimeOfDay(maintenanceEnd) !== null) {
+    parts.push(`${maintenanceStart}–${maintenanceEnd}`);
+  }
+  
+  return parts.length > 0 ? parts.join(', ') : 'manual only';
 }
 
 /**
- * Setup ESC key handler for admin exit
- * Note: This only works with a physical keyboard, not accessible to regular users
+ * Describe the telemetry queue and uploads, for the admin panel
+ * @param {Object|null} status - { queued, lastUpload, failures, retryAt } from the service worker
+ * @returns {string} Human-readable status
  */
-function setupEscHandler() {
-  document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape' || e.keyCode === 27) {
-      // Exit fullscreen if in fullscreen mode
-      if (document.fullscreenElement) {
-        document.exitFullscreen().catch(() => {});
+function describeTelemetryStatus(status) {
+  const { enabled, endpoint } = AppState.config.telemetry;
+  if (!enabled || !endpoint) return 'disabled';
+  if (!status) return 'unavailable';
+  
+  const parts = [`${status.queued === null ? '?' : status.queued} events queued`];
+  parts.push(status.lastUpload ? `last upload ${new Date(status.lastUpload).toLocaleTimeString()}` : 'nothing uploaded yet');
+  if (status.retryAt) {
+    parts.push(`retrying at ${new Date(status.retryAt).toLocaleTimeString()} after ${status.failures} failures`);
+  }
+  
+  return parts.join(', ');
+}
+
+/**
+ * Ask the active service worker for its cache status
+ * @returns {Promise<Object|null>} { cacheName, version, entries, bytes, previousVersion, pending, failedVersions, stagedVersion, update, telemetry } or null if unavailable
+ */
+function requestServiceWorkerStatus() {
+  return requestServiceWorker(MessageType.GET_STATUS);
+}
+
+/**
+ * Send a request to the active service worker and wait for its reply
+ * Each request gets its own MessageChannel, so replies can't be mixed up
+ * @param {string} type - Request type from MessageType
+ * @param {Object} payload - Extra message fields
+ * @param {number} timeoutMs - How long to wait for the reply
+ * @returns {Promise<*>} Reply result, or null if there is no worker, it failed or it didn't answer
+ */
+function requestServiceWorker(type, payload = {}, timeoutMs = SW_REQUEST_TIMEOUT_MS) {
+  const controller = navigator.serviceWorker && navigator.serviceWorker.controller;
+  if (!controller) return Promise.resolve(null);
+  
+  return new Promise(resolve => {
+    const channel = new MessageChannel();
+    const timeout = setTimeout(() => {
+      console.warn('Service worker request timed out:', type);
+      resolve(null);
+    }, timeoutMs);
+    
+    channel.port1.onmessage = event => {
+      clearTimeout(timeout);
+      const reply = event.data || {};
+      if (!reply.ok) {
+        console.warn('Service worker request failed:', type, reply.error);
       }
-      // Could also close the window if needed (uncomment if required)
-      // window.close();
-    }
+      resolve(reply.ok ? reply.result : null);
+    };
+    
+    controller.postMessage({ ...payload, type }, [channel.port2]);
   });
 }
 
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Admin action: check for a new version now
+ */
+async function handleAdminCheckUpdate() {
+  checkForServiceWorkerUpdate(swRegistration);
+  
+  // A new version is downloaded in the background; "Reload" applies it
+  await requestUpdateCheck();
+  await refreshAdminStatus();
+}
+
+/**
+ * Admin action: reload the page, applying a downloaded update if there is one
+ */
+function handleAdminReload() {
+  if (pendingUpdate) {
+    applyUpdate();
+  } else {
+    window.location.reload();
+  }
+}
+
+/**
+ * Admin action: delete all app caches so everything is downloaded again
+ */
+async function handleAdminClearCaches() {
+  const cleared = await requestServiceWorker(MessageType.CLEAR_CACHES);
+  
+  console.log('Admin cleared caches:', cleared);
+  await refreshAdminStatus();
+}
+
 /**
  * Handle video loading errors
+ * Falls back to the current decade's own still image (its poster frame)
  */
 function handleVideoError(e) {
   console.warn('Video failed to load, falling back to image');
   const video = e.target;
-  if (video.id === 'content-video' && Elements.contentImage) {
-    video.classList.add('hidden');
-    Elements.contentImage.classList.remove('hidden');
+  
+  recordEvent('video_error', { 
+    videoId: video.id, 
+    src: video.getAttribute('src'), 
+    decadeId: AppState.currentDecade ? AppState.currentDecade.id : null 
+  });
+  if (video.id === 'content-video' && Elements.contentImage && AppState.currentDecade) {
+    const data = getCurrentContent();
+    
+    // Ignore errors from a source that is no longer the current decade's video
+    if (data.mediaType !== 'video') return;
+    
+    if (data.poster) {
+      showContentImage(data.poster, localize(data.alt));
+    } else {
+      // No still of its own: show the empty media area rather than another decade's image
+      video.classList.add('hidden');
+      Elements.contentImage.classList.add('hidden');
+    }
   }
 }
 
@@ -565,8 +4722,13 @@ function handleVideoError(e) {
 function injectContentData(data) {
   AppState.contentData = { ...AppState.contentData, ...data };
   
+  // Decades come from the content, not a fixed list
+  setDecades(deriveDecades(AppState.contentData));
+  buildSearchIndex();
+  
   // Refresh current display if a decade is selected
   if (AppState.currentDecade) {
+    AppState.currentItemIndex = clampItemIndex(AppState.currentDecade.id, AppState.currentItemIndex);
     updateContent();
   }
 }
@@ -574,9 +4736,10 @@ function injectContentData(data) {
 /**
  * Public API for programmatic navigation
  * @param {string} decadeId - The decade ID to navigate to
+ * @param {number} [itemIndex=0] - Index of the item within the decade
  */
-function navigateToDecade(decadeId) {
-  selectDecade(decadeId);
+function navigateToDecade(decadeId, itemIndex = 0) {
+  selectDecade(decadeId, itemIndex);
 }
 
 // Initialize when DOM is ready
@@ -591,6 +4754,10 @@ window.TotemApp = {
   injectContentData,
   navigateToDecade,
   getCurrentDecade: () => AppState.currentDecade,
-  getDecades: () => AppState.decades
+  getCurrentItemIndex: () => AppState.currentItemIndex,
+  getDecades: () => AppState.decades,
+  getLanguage: () => AppState.language,
+  setLanguage,
+  getContentVersion: () => AppState.contentVersion
 };
 
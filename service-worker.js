@@ -4,22 +4,84 @@
  * 
  */
 
+// Asset manifest generated by tools/generate-asset-manifest.js
+const ASSET_MANIFEST_FILE = 'asset-manifest.json';
+
+// Releases are downloaded and verified here before being copied into their
+// 'totem-cache-<version>' cache, which may already be serving pages
+const DOWNLOAD_CACHE_PREFIX = 'totem-download-';
+
+// Cache state (active version and rollback slot) survives worker restarts here
+const META_CACHE_NAME = 'totem-meta';
+const CACHE_STATE_KEY = '/__totem/cache-state';
+
+// A newly promoted version must report BOOT_OK within this window...
+const HEALTH_CHECK_TIMEOUT_MS = 2 * 60 * 1000;
+
+// ...and before this many page loads, or it is rolled back
+const MAX_PENDING_BOOTS = 3;
+
+// Versions that failed verification or the health check are not retried
+const MAX_FAILED_VERSIONS = 5;
+
+// Update coordinator states (see runUpdateCheck for the transitions)
+const UpdateState = Object.freeze({
+  IDLE: 'idle', // Active version is current
+  CHECKING: 'checking', // Fetching version.json
+  DOWNLOADING: 'downloading', // Downloading and verifying a new version
+  READY: 'ready', // Verified download staged, waiting for the page to apply it
+  APPLYING: 'applying', // New version promoted, waiting for its BOOT_OK
+  FAILED: 'failed' // Download or health check failed (see error)
+});
+
+// Message protocol shared with main.js
+// Requests are answered on event.ports[0] with { type, ok, result | error }
+const MessageType = Object.freeze({
+  // Page -> worker requests
+  GET_STATUS: 'GET_STATUS',
+  CHECK_FOR_UPDATE: 'CHECK_FOR_UPDATE',
+  APPLY_UPDATE: 'APPLY_UPDATE',
+  CLEAR_CACHES: 'CLEAR_CACHES',
+  BOOT_OK: 'BOOT_OK',
+  BOOT_FAILED: 'BOOT_FAILED',
+  FLUSH_TELEMETRY: 'FLUSH_TELEMETRY',
+  // Worker -> page broadcasts
+  UPDATE_STATE: 'UPDATE_STATE',
+  ROLLED_BACK: 'ROLLED_BACK'
+});
+
 /**
- * Get assets list with correct base path
- * @returns {Array<string>} Array of asset URLs
+ * Fetch the release's asset manifest from the network
+ * Updates must never be verified against a stale cached manifest
+ * @param {string} version - Version the manifest must belong to
+ * @returns {Promise<Object>} Parsed manifest ({ version, assets })
  */
-function getAssets() {
-  const basePath = getBasePath();
-  return [
-    basePath + '/',
-    basePath + '/index.html',
-    basePath + '/style.css',
-    basePath + '/main.js',
-    basePath + '/media/video1.mp4',
-    basePath + '/media/image1.png',
-    basePath + '/manifest.json',
-    basePath + '/version.json'
-  ];
+async function fetchReleaseManifest(version) {
+  const manifestUrl = getBasePath() + '/' + ASSET_MANIFEST_FILE;
+  const response = await fetch(manifestUrl + '?t=' + Date.now(), { cache: 'no-store' });
+  if (!response.ok) throw new Error('Failed to fetch asset manifest: ' + response.status);
+  
+  const manifest = await response.json();
+  if (manifest.version !== version) {
+    throw new Error('Asset manifest is for version ' + manifest.version + ', expected ' + version);
+  }
+  if (!Array.isArray(manifest.assets) || manifest.assets.some(asset => !asset.url || !asset.sha256)) {
+    throw new Error('Asset manifest has no valid assets list');
+  }
+  
+  return manifest;
+}
+
+/**
+ * Compute the hex SHA-256 digest of a response body
+ * @param {ArrayBuffer} buffer - Body bytes
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+async function sha256Hex(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
 }
 
 // Default cache name (will be updated with version)
@@ -60,17 +122,43 @@ function getBasePath() {
   }
 }
 
+// version.json validator and the version it belongs to, for conditional
+// requests (lost on worker restart, which only costs one full response)
+let versionEtag = null;
+let versionFromEtag = null;
+
+// No version checks before this time, set from the server's Retry-After
+let retryNotBefore = 0;
+
 /**
  * Fetch version.json and extract version number
  * @returns {Promise<string>} Version string or null if fetch fails
  */
 async function fetchVersion() {
+  if (Date.now() < retryNotBefore) {
+    console.log('Skipping version check until', new Date(retryNotBefore).toISOString(), '(Retry-After)');
+    return null;
+  }
+  
   try {
     const basePath = getBasePath();
     const versionUrl = basePath + '/version.json?t=' + Date.now();
-    const response = await fetch(versionUrl, { cache: 'no-store' });
-    if (!response.ok) throw new Error('Failed to fetch version');
+    
+    // Conditional request: an unchanged version.json costs a bodiless 304
+    const headers = versionEtag ? { 'If-None-Match': versionEtag } : {};
+    const response = await fetch(versionUrl, { cache: 'no-store', headers });
+    
+    const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+    if (retryAfterMs > 0) {
+      retryNotBefore = Date.now() + retryAfterMs;
+    }
+    
+    if (response.status === 304 && versionFromEtag) return versionFromEtag;
+    if (!response.ok) throw new Error('Failed to fetch version: ' + response.status);
+    
     const data = await response.json();
+    versionEtag = response.headers.get('ETag');
+    versionFromEtag = data.version || null;
     return data.version || null;
   } catch (error) {
     console.warn('Failed to fetch version.json:', error);
@@ -79,57 +167,77 @@ async function fetchVersion() {
 }
 
 /**
- * Get cached version from existing cache
- * @returns {Promise<string>} Cached version or null
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number} Delay in milliseconds, 0 if absent or invalid
  */
-async function getCachedVersion() {
+function parseRetryAfter(value) {
+  if (!value) return 0;
+  
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(seconds, 0) * 1000;
+  
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(date - Date.now(), 0);
+}
+
+// Persisted cache state, loaded lazily
+let cacheState = null;
+
+/**
+ * Load the cache state record
+ * active: version being served, previous: rollback slot kept until the
+ * active version boots successfully, pending: active version not yet confirmed,
+ * staged: verified download waiting for the page to apply it
+ * @returns {Promise<Object>} Cache state
+ */
+async function loadCacheState() {
+  if (cacheState) return cacheState;
+  
+  cacheState = {
+    active: null,
+    previous: null,
+    pending: false,
+    pendingSince: null,
+    bootAttempts: 0,
+    failedVersions: [],
+    staged: null
+  };
+  
   try {
-    const cacheNames = await caches.keys();
-    // Find the most recent cache
-    const totemCaches = cacheNames.filter(name => name.startsWith('totem-cache-'));
-    if (totemCaches.length === 0) return null;
-    
-    // Get version from the cache name (format: totem-cache-YYYYMMDDHHMMSS)
-    const latestCache = totemCaches.sort().reverse()[0];
-    const versionMatch = latestCache.match(/totem-cache-(.+)/);
-    if (versionMatch) {
-      return versionMatch[1];
+    const metaCache = await caches.open(META_CACHE_NAME);
+    const response = await metaCache.match(CACHE_STATE_KEY);
+    if (response) {
+      Object.assign(cacheState, await response.json());
     }
-    
-    // Fallback: try to read from cached version.json
-    const cache = await caches.open(latestCache);
-    const cachedVersionFile = await cache.match('/version.json');
-    if (cachedVersionFile) {
-      const data = await cachedVersionFile.json();
-      return data.version || null;
-    }
-    
-    return null;
   } catch (error) {
-    console.warn('Failed to get cached version:', error);
-    return null;
+    console.warn('Failed to read cache state:', error);
   }
+  
+  return cacheState;
 }
 
 /**
- * Initialize cache name based on version
+ * Persist the cache state record
+ * @param {Object} state - Cache state to store
+ */
+async function saveCacheState(state) {
+  cacheState = state;
+  const metaCache = await caches.open(META_CACHE_NAME);
+  await metaCache.put(CACHE_STATE_KEY, new Response(JSON.stringify(state), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+}
+
+/**
+ * Initialize cache name from the active cache
+ * Never switches to a version that hasn't been downloaded and verified
  */
 async function initializeCacheName() {
-  // Try to fetch version from network first
-  const onlineVersion = await fetchVersion();
-  
-  if (onlineVersion) {
-    CURRENT_VERSION = onlineVersion;
-    CACHE_NAME = 'totem-cache-' + onlineVersion;
-    console.log('Using online version:', CURRENT_VERSION);
-    return;
-  }
-  
-  // If offline, try to get cached version
-  const cachedVersion = await getCachedVersion();
-  if (cachedVersion) {
-    CURRENT_VERSION = cachedVersion;
-    CACHE_NAME = 'totem-cache-' + cachedVersion;
+  const state = await loadCacheState();
+  if (state.active) {
+    CURRENT_VERSION = state.active;
+    CACHE_NAME = 'totem-cache-' + state.active;
     console.log('Using cached version:', CURRENT_VERSION);
     return;
   }
@@ -140,25 +248,271 @@ async function initializeCacheName() {
 }
 
 /**
- * Check if a new version is available
- * @returns {Promise<boolean>} True if new version detected
+ * Download every asset of a release into a download cache, then copy it into the release's cache
+ * Each file must download and match the SHA-256 from the asset manifest;
+ * on any failure the download cache is deleted and every release cache is untouched.
+ * A release cache is never deleted here: one with the same name may be the live
+ * cache of the running (or a previous) worker
+ * @param {string} version - Version to download
+ * @returns {Promise<string>} Name of the complete, verified cache
  */
-async function checkForUpdate() {
+async function downloadVerifiedCache(version) {
+  const basePath = getBasePath();
+  const cacheName = 'totem-cache-' + version;
+  const downloadName = DOWNLOAD_CACHE_PREFIX + version;
+  const manifest = await fetchReleaseManifest(version);
+  
+  // Start from an empty download so no leftovers from an earlier attempt survive
+  await caches.delete(downloadName);
+  const cache = await caches.open(downloadName);
+  
+  console.log('Downloading version', version + ':', manifest.assets.length, 'assets');
+  
   try {
-    const onlineVersion = await fetchVersion();
-    if (!onlineVersion) return false;
+    const cacheTimestamp = Date.now();
     
-    const cachedVersion = await getCachedVersion();
-    if (!cachedVersion) return true; // No cache means we need to install
+    await Promise.all(manifest.assets.map(async asset => {
+      const assetUrl = basePath + '/' + asset.url;
+      
+      // Add cache busting parameter to force fresh download
+      const cacheBustUrl = assetUrl + '?_v=' + version + '&_t=' + cacheTimestamp;
+      const response = await fetch(cacheBustUrl, {
+        cache: 'no-store',
+        headers: {
+          'Cache-Control': 'no-cache'
+        }
+      });
+      
+      if (!response.ok) {
+        throw new Error('Failed to download ' + asset.url + ': ' + response.status);
+      }
+      
+      const body = await response.arrayBuffer();
+      const hash = await sha256Hex(body);
+      if (hash !== asset.sha256) {
+        throw new Error('Integrity check failed for ' + asset.url);
+      }
+      
+      // Store with original asset URL (without cache busting params)
+      const init = { status: response.status, statusText: response.statusText, headers: response.headers };
+      await cache.put(assetUrl, new Response(body, init));
+      if (asset.url === 'index.html') {
+        await cache.put(basePath + '/', new Response(body, init));
+      }
+      console.log('✓ Verified and cached:', asset.url);
+    }));
     
-    return onlineVersion !== cachedVersion;
+    await cache.put(basePath + '/' + ASSET_MANIFEST_FILE, new Response(JSON.stringify(manifest), {
+      headers: { 'Content-Type': 'application/json' }
+    }));
   } catch (error) {
-    console.warn('Error checking for update:', error);
-    return false;
+    console.error('Download of version', version, 'failed, discarding it:', error.message);
+    await caches.delete(downloadName);
+    throw error;
+  }
+  
+  // Verified: copy over (identical entries are simply replaced)
+  try {
+    const releaseCache = await caches.open(cacheName);
+    const requests = await cache.keys();
+    await Promise.all(requests.map(async request => {
+      await releaseCache.put(request, await cache.match(request));
+    }));
+  } finally {
+    await caches.delete(downloadName);
+  }
+  
+  return cacheName;
+}
+
+/**
+ * Make a verified cache the active one
+ * The old active cache becomes the rollback slot until the new version boots
+ * @param {string} version - Version whose cache was verified
+ */
+async function promoteCache(version) {
+  const state = await loadCacheState();
+  
+  // A version still on probation is not a safe rollback target
+  const rollbackVersion = state.pending ? state.previous : state.active;
+  
+  const previous = rollbackVersion !== version ? rollbackVersion : null;
+  
+  // Without a rollback slot (first install) there is nothing to wait for
+  await saveCacheState({
+    ...state,
+    active: version,
+    previous,
+    pending: Boolean(previous),
+    pendingSince: previous ? Date.now() : null,
+    bootAttempts: 0
+  });
+  
+  CURRENT_VERSION = version;
+  CACHE_NAME = 'totem-cache-' + version;
+  
+  await deleteUnusedCaches();
+  console.log('✓ Promoted version', version, '(rollback slot:', (cacheState.previous || 'none') + ')');
+}
+
+/**
+ * Keep a verified download until the page applies it
+ * The page decides when (idle on the intro screen or in the maintenance
+ * window), so a visitor never sees assets from two versions mixed mid-visit
+ * @param {string} version - Version whose cache was verified
+ */
+async function stageCache(version) {
+  const state = await loadCacheState();
+  await saveCacheState({ ...state, staged: version });
+  
+  // Drops an older download that was never applied
+  await deleteUnusedCaches();
+  console.log('✓ Version', version, 'downloaded, waiting to be applied');
+}
+
+/**
+ * Promote the staged download, if any
+ * @returns {Promise<string|null>} Applied version, or null if nothing was staged
+ */
+async function applyStagedUpdate() {
+  const state = await loadCacheState();
+  if (!state.staged) return null;
+  
+  const version = state.staged;
+  await saveCacheState({ ...state, staged: null });
+  await promoteCache(version);
+  return version;
+}
+
+/**
+ * Delete every totem cache other than the active cache, the rollback slot
+ * and a staged download
+ */
+async function deleteUnusedCaches() {
+  const state = await loadCacheState();
+  const keep = [state.active, state.previous, state.staged]
+    .filter(Boolean)
+    .map(version => 'totem-cache-' + version);
+  
+  const cacheNames = await caches.keys();
+  const oldCaches = cacheNames.filter(name => 
+    name.startsWith('totem-cache-') && !keep.includes(name)
+  );
+  
+  if (oldCaches.length > 0) {
+    console.log('Deleting old caches:', oldCaches);
+    await Promise.all(oldCaches.map(name => caches.delete(name)));
+  }
+}
+
+/**
+ * The active version booted successfully: drop the rollback slot
+ */
+async function confirmBoot() {
+  const state = await loadCacheState();
+  if (!state.pending) return;
+  
+  console.log('✓ Version', state.active, 'booted successfully');
+  await saveCacheState({ ...state, previous: null, pending: false, pendingSince: null, bootAttempts: 0 });
+  await deleteUnusedCaches();
+  
+  if (updateStatus.state === UpdateState.APPLYING) {
+    setUpdateState(UpdateState.IDLE, { version: null });
   }
 }
 
-// Install event - precache all assets with version-based cache
+/**
+ * Revert to the rollback slot after the active version failed its health check
+ * @param {string} reason - Why the health check failed
+ * @param {boolean} reloadClients - Whether to reload open pages onto the restored version
+ * @returns {Promise<boolean>} True if a rollback happened
+ */
+async function rollbackCache(reason, reloadClients) {
+  const state = await loadCacheState();
+  if (!state.pending || !state.previous) return false;
+  
+  const failedVersion = state.active;
+  console.error('Version', failedVersion, 'failed health check (' + reason + '), rolling back to', state.previous);
+  
+  await saveCacheState({
+    ...state,
+    active: state.previous,
+    previous: null,
+    pending: false,
+    pendingSince: null,
+    bootAttempts: 0,
+    failedVersions: [...state.failedVersions.filter(v => v !== failedVersion), failedVersion]
+      .slice(-MAX_FAILED_VERSIONS)
+  });
+  
+  CURRENT_VERSION = cacheState.active;
+  CACHE_NAME = 'totem-cache-' + cacheState.active;
+  await deleteUnusedCaches();
+  
+  setUpdateState(UpdateState.FAILED, { version: failedVersion, error: 'Rolled back: ' + reason });
+  await broadcast({ 
+    type: MessageType.ROLLED_BACK, 
+    version: cacheState.active,
+    failedVersion,
+    reason
+  });
+  
+  if (reloadClients) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => {
+      if (client.navigate) {
+        client.navigate(client.url).catch(() => {});
+      }
+    });
+  }
+  
+  return true;
+}
+
+/**
+ * Roll back a pending version whose health check window has expired
+ * @param {boolean} reloadClients - Whether to reload open pages onto the restored version
+ * @returns {Promise<boolean>} True if a rollback happened
+ */
+async function checkPendingHealth(reloadClients) {
+  const state = await loadCacheState();
+  if (!state.pending || !state.pendingSince) return false;
+  if (Date.now() - state.pendingSince < HEALTH_CHECK_TIMEOUT_MS) return false;
+  
+  return rollbackCache('no BOOT_OK within ' + HEALTH_CHECK_TIMEOUT_MS / 1000 + 's', reloadClients);
+}
+
+/**
+ * Count a page load of a pending version, rolling back after too many
+ * Called before serving navigations so a rollback takes effect immediately
+ */
+async function recordPendingBoot() {
+  const state = await loadCacheState();
+  if (!state.pending) return;
+  
+  if (state.bootAttempts >= MAX_PENDING_BOOTS) {
+    await rollbackCache(state.bootAttempts + ' page loads without BOOT_OK', false);
+    return;
+  }
+  
+  await saveCacheState({ ...state, bootAttempts: state.bootAttempts + 1 });
+}
+
+/**
+ * Wait out the health check window, then verify the pending version reported in
+ * Best effort: the browser may stop the worker earlier, in which case the
+ * check runs on the next fetch or message instead
+ * @returns {Promise<void>}
+ */
+function scheduleHealthCheck() {
+  return new Promise(resolve => {
+    setTimeout(() => {
+      checkPendingHealth(true).then(resolve, resolve);
+    }, HEALTH_CHECK_TIMEOUT_MS + 1000);
+  });
+}
+
+// Install event - download and verify the release before it can be served
 self.addEventListener('install', event => {
   console.log('Service Worker installing...');
   
@@ -170,59 +524,15 @@ self.addEventListener('install', event => {
         console.log('Base path determined:', BASE_PATH);
       }
       
-      // Initialize cache name based on version
       await initializeCacheName();
       
-      // Get assets with correct base path
-      const assets = getAssets();
-      
-      // Open cache and add all assets
-      const cache = await caches.open(CACHE_NAME);
-      console.log('Caching assets with cache name:', CACHE_NAME);
-      console.log('Assets to cache:', assets);
-      
-      // Download all assets with cache busting to ensure fresh files
-      const cacheTimestamp = Date.now();
-      const installVersion = CURRENT_VERSION || 'install';
+      // A first install goes live at once; otherwise the download is staged
+      // and the page applies it when idle
+      const status = await checkForUpdates();
       
-      try {
-        // Try to cache all at once first
-        await cache.addAll(assets);
-        console.log('All assets cached successfully');
-      } catch (error) {
-        console.warn('Some assets failed to cache, downloading individually with cache busting:', error);
-        
-        // Download each asset individually with cache busting
-        const cachePromises = assets.map(async (asset) => {
-          try {
-            // Add cache busting to force fresh download
-            const cacheBustUrl = asset + (asset.includes('?') ? '&' : '?') + '_v=' + installVersion + '&_t=' + cacheTimestamp;
-            const response = await fetch(cacheBustUrl, {
-              cache: 'no-store',
-              headers: {
-                'Cache-Control': 'no-cache'
-              }
-            });
-            
-            if (response && response.ok) {
-              // Store with original URL (without cache busting)
-              await cache.put(asset, response.clone());
-              console.log('✓ Cached:', asset);
-              return { asset, success: true };
-            } else {
-              console.warn('✗ Failed to cache:', asset, 'Status:', response.status);
-              return { asset, success: false };
-            }
-          } catch (err) {
-            console.warn('✗ Error caching:', asset, err.message);
-            return { asset, success: false };
-          }
-        });
-        
-        // Wait for all downloads
-        const results = await Promise.allSettled(cachePromises);
-        const successful = results.filter(r => r.status === 'fulfilled' && r.value.success).length;
-        console.log(`Individual caching completed: ${successful}/${assets.length} successful`);
+      // Nothing to serve yet: fail the install so the browser retries later
+      if (!CURRENT_VERSION) {
+        throw new Error('No verified cache available: ' + (status.error || 'version.json unavailable'));
       }
       
       // Force activation of new service worker
@@ -231,7 +541,7 @@ self.addEventListener('install', event => {
   );
 });
 
-// Activate event - clean up old caches
+// Activate event - clean up old caches, keeping the rollback slot
 self.addEventListener('activate', event => {
   console.log('Service Worker activating...');
   
@@ -242,30 +552,72 @@ self.addEventListener('activate', event => {
         await initializeCacheName();
       }
       
-      // Delete ALL caches that don't match current version
-      // This ensures no old files remain
-      const cacheNames = await caches.keys();
-      const oldCaches = cacheNames.filter(name => 
-        name.startsWith('totem-cache-') && name !== CACHE_NAME
-      );
-      
-      if (oldCaches.length > 0) {
-        console.log('Deleting old caches completely:', oldCaches);
-        await Promise.all(oldCaches.map(name => {
-          console.log('Deleting cache:', name);
-          return caches.delete(name);
-        }));
-        console.log('✓ All old caches deleted');
-      }
+      await deleteUnusedCaches();
       
       // Take control of all clients immediately
       await self.clients.claim();
       console.log('Service Worker activated with cache:', CACHE_NAME);
+      
+      // Don't hold up activation waiting for the new version to report in
+      scheduleHealthCheck();
     })()
   );
 });
 
-// Fetch event - serve from cache, update in background when online
+/**
+ * Serve a byte range of a cached response as 206 Partial Content
+ * Media elements request video data in ranges; answering with the whole
+ * 200 response breaks seeking and looping offline in some engines
+ * @param {Request} request - Request carrying a Range header
+ * @param {Response} cachedResponse - Full cached response
+ * @returns {Promise<Response>} 206 slice, 416 if unsatisfiable, or the full response
+ */
+async function createRangeResponse(request, cachedResponse) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('Range').trim());
+  
+  // Multi-range or malformed: the full response is a valid answer
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return cachedResponse;
+  }
+  
+  const blob = await cachedResponse.blob();
+  const size = blob.size;
+  let start;
+  let end;
+  
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(size - parseInt(match[2], 10), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+  
+  if (start >= size || start > end) {
+    return new Response('', {
+      status: 416,
+      statusText: 'Range Not Satisfiable',
+      headers: new Headers({ 'Content-Range': `bytes */${size}` })
+    });
+  }
+  
+  const headers = new Headers(cachedResponse.headers);
+  headers.set('Content-Range', `bytes ${start}-${end}/${size}`);
+  headers.set('Content-Length', String(end - start + 1));
+  headers.set('Accept-Ranges', 'bytes');
+  if (!headers.has('Content-Type') && blob.type) {
+    headers.set('Content-Type', blob.type);
+  }
+  
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers
+  });
+}
+
+// Fetch event - serve from the active verified cache, network for anything else
 self.addEventListener('fetch', event => {
   // Skip non-GET requests
   if (event.request.method !== 'GET') return;
@@ -295,16 +647,12 @@ self.addEventListener('fetch', event => {
             }
           });
           
-          if (networkResponse && networkResponse.ok) {
-            // Update cache with fresh version
-            const cache = await caches.open(CACHE_NAME);
-            await cache.put(event.request, networkResponse.clone());
-          }
-          
+          // Not written to the cache: it must keep matching the verified release
           return networkResponse;
         } catch (error) {
-          // If network fails, try cache as fallback
-          const cachedResponse = await caches.match(event.request);
+          // If network fails, fall back to the active version's copy
+          const cache = await caches.open(CACHE_NAME);
+          const cachedResponse = await cache.match(event.request, { ignoreSearch: true });
           if (cachedResponse) {
             return cachedResponse;
           }
@@ -323,42 +671,32 @@ self.addEventListener('fetch', event => {
   event.respondWith(
     (async () => {
       try {
-        // Always try cache first for offline support
-        const cachedResponse = await caches.match(event.request);
+        // The worker may have been restarted since install/activate
+        if (!CURRENT_VERSION) {
+          await initializeCacheName();
+        }
         
-        // If we have a cached response, serve it immediately
+        // Page loads of an unconfirmed version count towards its health check
+        if (event.request.mode === 'navigate') {
+          const rolledBack = await checkPendingHealth(false);
+          if (!rolledBack) await recordPendingBoot();
+        }
+        
+        // Serve only from the active version's cache so versions never mix;
+        // it is replaced as a whole by the next verified update
+        const cache = await caches.open(CACHE_NAME);
+        const cachedResponse = await cache.match(event.request);
         if (cachedResponse) {
-          // In background, try to update cache (fetch will fail if offline)
-          fetch(event.request)
-            .then(response => {
-              if (response && response.ok) {
-                caches.open(CACHE_NAME).then(cache => {
-                  cache.put(event.request, response.clone());
-                }).catch(err => {
-                  console.warn('Failed to update cache:', err);
-                });
-              }
-            })
-            .catch(() => {
-              // Network error, keep using cache (offline or network failure)
-            });
+          // <video> asks for byte ranges; slice them from the cached file
+          if (event.request.headers.has('Range')) {
+            return createRangeResponse(event.request, cachedResponse);
+          }
           return cachedResponse;
         }
         
         // Not in cache, try network
         try {
-          const networkResponse = await fetch(event.request);
-          if (networkResponse && networkResponse.ok) {
-            // Cache the response for future use (but don't fail if caching fails)
-            try {
-              const cache = await caches.open(CACHE_NAME);
-              await cache.put(event.request, networkResponse.clone());
-            } catch (cacheError) {
-              console.warn('Failed to cache response:', event.request.url, cacheError);
-              // Continue even if caching fails
-            }
-          }
-          return networkResponse;
+          return await fetch(event.request);
         } catch (fetchError) {
           // Network failed, return offline response
           console.warn('Network request failed:', event.request.url, fetchError.message);
@@ -396,144 +734,394 @@ self.addEventListener('fetch', event => {
   );
 });
 
+// Update coordinator: the single owner of update state. Pages only send
+// requests and follow UPDATE_STATE broadcasts, so they can never disagree
+let updateStatus = {
+  state: UpdateState.IDLE,
+  version: null, // Version being downloaded, staged or applied
+  error: null,
+  lastCheck: null, // { time, onlineVersion }
+  retryAt: null // Server asked not to check again before this time (Retry-After)
+};
+let updateCheckInFlight = null;
+
 /**
- * Update all cached assets when version changes
- * Completely replaces old cache with new version - downloads ALL files fresh
+ * Move the coordinator to a new state and tell every page
+ * @param {string} state - One of UpdateState
+ * @param {Object} changes - Other status fields to update
  */
-async function updateCacheForNewVersion(newVersion) {
-  try {
-    const newCacheName = 'totem-cache-' + newVersion;
-    const oldCacheName = CACHE_NAME;
-    
-    console.log('Starting complete cache replacement for version:', newVersion);
-    console.log('Old cache:', oldCacheName, '-> New cache:', newCacheName);
-    
-    // Get assets with correct base path
-    const assets = getAssets();
-    
-    // Create new cache
-    const newCache = await caches.open(newCacheName);
-    
-    // Download ALL assets fresh with cache busting to ensure we get new files
-    const cacheTimestamp = Date.now();
-    const downloadPromises = assets.map(async (asset) => {
-      try {
-        // Add cache busting parameter to force fresh download
-        const cacheBustUrl = asset + (asset.includes('?') ? '&' : '?') + '_v=' + newVersion + '&_t=' + cacheTimestamp;
-        const response = await fetch(cacheBustUrl, {
-          cache: 'no-store',
-          headers: {
-            'Cache-Control': 'no-cache'
-          }
-        });
-        
-        if (response && response.ok) {
-          // Store with original asset URL (without cache busting params)
-          await newCache.put(asset, response.clone());
-          console.log('✓ Downloaded and cached:', asset);
-          return { asset, success: true };
-        } else {
-          console.warn('✗ Failed to download:', asset, 'Status:', response.status);
-          return { asset, success: false };
-        }
-      } catch (err) {
-        console.warn('✗ Error downloading:', asset, err.message);
-        return { asset, success: false };
-      }
+function setUpdateState(state, changes = {}) {
+  updateStatus = { ...updateStatus, ...changes, state };
+  console.log('Update state:', state, updateStatus.version || '', updateStatus.error || '');
+  broadcast({ type: MessageType.UPDATE_STATE, status: updateStatus });
+}
+
+/**
+ * Post a message to every open page
+ * @param {Object} message - Message with a type from MessageType
+ */
+async function broadcast(message) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage(message));
+}
+
+/**
+ * Get the coordinator status
+ * Rebuilt from the cache state if the worker was restarted mid-update
+ * @returns {Promise<Object>} { state, version, error, lastCheck, retryAt }
+ */
+async function getUpdateStatus() {
+  if (updateStatus.state === UpdateState.IDLE) {
+    const state = await loadCacheState();
+    if (state.staged) {
+      updateStatus = { ...updateStatus, state: UpdateState.READY, version: state.staged };
+    } else if (state.pending) {
+      updateStatus = { ...updateStatus, state: UpdateState.APPLYING, version: state.active };
+    }
+  }
+  
+  return updateStatus;
+}
+
+/**
+ * Check for a new version, downloading it if there is one
+ * Concurrent requests share the check already in progress
+ * @returns {Promise<Object>} Coordinator status after the check
+ */
+function checkForUpdates() {
+  if (!updateCheckInFlight) {
+    updateCheckInFlight = runUpdateCheck().finally(() => {
+      updateCheckInFlight = null;
     });
-    
-    // Wait for all downloads to complete
-    const results = await Promise.allSettled(downloadPromises);
-    const successful = results.filter(r => r.status === 'fulfilled' && r.value.success).length;
-    const failed = results.length - successful;
-    
-    console.log(`Download complete: ${successful} successful, ${failed} failed`);
-    
-    // Only proceed if we got the essential files (at least index.html and main files)
-    const essentialFiles = ['index.html', 'main.js', 'style.css', 'version.json'];
-    const hasEssential = essentialFiles.some(file => {
-      const asset = assets.find(a => a.includes(file));
-      return results.some(r => r.status === 'fulfilled' && r.value.asset === asset && r.value.success);
+  }
+  return updateCheckInFlight;
+}
+
+/**
+ * idle/ready/failed -> checking -> idle (nothing new) or ready (already staged)
+ *                               -> downloading -> ready, or failed on any error
+ * A first install skips ready and goes live at once. While applying, checks
+ * only enforce the health check of the version waiting for its BOOT_OK.
+ * @returns {Promise<Object>} Coordinator status after the check
+ */
+async function runUpdateCheck() {
+  const current = await getUpdateStatus();
+  if (current.state === UpdateState.APPLYING) {
+    await checkPendingHealth(true);
+    return getUpdateStatus();
+  }
+  
+  setUpdateState(UpdateState.CHECKING, { version: null, error: null });
+  
+  const onlineVersion = await fetchVersion();
+  const state = await loadCacheState();
+  updateStatus.lastCheck = { time: Date.now(), onlineVersion };
+  updateStatus.retryAt = retryNotBefore > Date.now() ? retryNotBefore : null;
+  
+  if (!onlineVersion) {
+    setUpdateState(state.staged ? UpdateState.READY : UpdateState.IDLE, { 
+      version: state.staged, 
+      error: updateStatus.retryAt ? 'server asked to retry later' : 'version.json unavailable' 
     });
-    
-    if (!hasEssential) {
-      console.error('Failed to download essential files, aborting cache update');
-      await caches.delete(newCacheName);
-      return;
+    return updateStatus;
+  }
+  
+  if (onlineVersion === state.active || state.failedVersions.includes(onlineVersion)) {
+    if (state.staged) {
+      // The staged download was superseded (e.g., the release was reverted)
+      await saveCacheState({ ...state, staged: null });
+      await deleteUnusedCaches();
     }
+    setUpdateState(UpdateState.IDLE, { version: null });
+    return updateStatus;
+  }
+  
+  if (onlineVersion === state.staged) {
+    setUpdateState(UpdateState.READY, { version: onlineVersion });
+    return updateStatus;
+  }
+  
+  setUpdateState(UpdateState.DOWNLOADING, { version: onlineVersion });
+  
+  try {
+    await downloadVerifiedCache(onlineVersion);
     
-    // Now that new cache is complete, update CACHE_NAME and delete ALL old caches
-    CACHE_NAME = newCacheName;
-    CURRENT_VERSION = newVersion;
-    
-    // Delete the old cache and any other old caches
-    const allCacheNames = await caches.keys();
-    const oldCaches = allCacheNames.filter(name => 
-      name.startsWith('totem-cache-') && name !== newCacheName
-    );
-    
-    console.log('Deleting old caches:', oldCaches);
-    await Promise.all(oldCaches.map(name => caches.delete(name)));
-    
-    console.log('✓ Cache replacement complete! New version:', newVersion);
-    console.log('✓ All old caches deleted');
-    
-    // Notify clients that cache update is complete
-    const clients = await self.clients.matchAll();
-    clients.forEach(client => {
-      client.postMessage({ 
-        type: 'CACHE_UPDATED', 
-        version: newVersion,
-        success: true
-      });
-    });
+    if (state.active) {
+      await stageCache(onlineVersion);
+      setUpdateState(UpdateState.READY);
+    } else {
+      await promoteCache(onlineVersion);
+      setUpdateState(UpdateState.IDLE, { version: null });
+    }
   } catch (error) {
-    console.error('Error updating cache for new version:', error);
-    
-    // Notify clients of failure
-    const clients = await self.clients.matchAll();
-    clients.forEach(client => {
-      client.postMessage({ 
-        type: 'CACHE_UPDATE_FAILED', 
-        error: error.message
-      });
-    });
+    setUpdateState(UpdateState.FAILED, { error: error.message });
   }
+  
+  return updateStatus;
 }
 
-// Handle messages from client
-self.addEventListener('message', event => {
-  if (event.data && event.data.type === 'CHECK_VERSION') {
-    checkForUpdate().then(async hasUpdate => {
-      if (hasUpdate) {
-        const onlineVersion = await fetchVersion();
-        if (onlineVersion) {
-          // Update cache even if SW file hasn't changed
-          await updateCacheForNewVersion(onlineVersion);
-          
-          // Notify clients that update is available
-          const clients = await self.clients.matchAll();
-          clients.forEach(client => {
-            client.postMessage({ 
-              type: 'UPDATE_AVAILABLE',
-              version: onlineVersion 
-            });
-          });
-        }
-      }
+/**
+ * ready -> applying: switch to the staged version
+ * The page reloads next; its BOOT_OK moves the coordinator back to idle,
+ * or the health check rolls it back and the coordinator reports failed
+ * @returns {Promise<Object>} { applied, version }
+ */
+async function applyUpdate() {
+  const current = await getUpdateStatus();
+  if (current.state !== UpdateState.READY) {
+    return { applied: false, version: null };
+  }
+  
+  try {
+    const version = await applyStagedUpdate();
+    setUpdateState(cacheState.pending ? UpdateState.APPLYING : UpdateState.IDLE, { 
+      version: cacheState.pending ? version : null 
     });
-  } else if (event.data && event.data.type === 'UPDATE_VERSION') {
-    // Client detected version change, update cache immediately
-    const newVersion = event.data.version;
-    if (newVersion) {
-      console.log('Updating cache for new version from client:', newVersion);
-      updateCacheForNewVersion(newVersion).then(() => {
-        // Notify client that cache is updated
-        event.ports && event.ports[0] && event.ports[0].postMessage({ 
-          type: 'CACHE_UPDATE_COMPLETE',
-          version: newVersion 
-        });
+    return { applied: Boolean(version), version };
+  } catch (error) {
+    setUpdateState(UpdateState.FAILED, { error: error.message });
+    return { applied: false, version: null };
+  }
+}
+
+/**
+ * Delete every app cache and forget the cache state
+ * The next update check downloads the current version from scratch
+ * @returns {Promise<Array<string>>} Names of the deleted caches
+ */
+async function clearAllCaches() {
+  const cacheNames = await caches.keys();
+  const appCaches = cacheNames.filter(name => 
+    name.startsWith('totem-cache-') || name.startsWith(DOWNLOAD_CACHE_PREFIX) || name === META_CACHE_NAME
+  );
+  await Promise.all(appCaches.map(name => caches.delete(name)));
+  
+  cacheState = null;
+  CURRENT_VERSION = null;
+  CACHE_NAME = 'totem-cache-v1';
+  
+  console.log('Cleared caches:', appCaches);
+  setUpdateState(UpdateState.IDLE, { version: null, error: null });
+  return appCaches;
+}
+
+// Telemetry queue, written by main.js and drained here
+const TELEMETRY_DB_NAME = 'totem-telemetry';
+const TELEMETRY_STORE = 'events';
+
+// Failed uploads back off exponentially from 30s up to 30 minutes
+const TELEMETRY_RETRY_BASE_MS = 30 * 1000;
+const TELEMETRY_RETRY_MAX_MS = 30 * 60 * 1000;
+
+// Upload state (in memory: a restarted worker simply uploads at the next flush)
+let telemetryFailures = 0;
+let telemetryRetryAt = 0;
+let lastTelemetryUpload = 0;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} Request result
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the telemetry queue database (same schema as main.js)
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openTelemetryDb() {
+  const request = indexedDB.open(TELEMETRY_DB_NAME, 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(TELEMETRY_STORE, { keyPath: 'id', autoIncrement: true });
+  };
+  return idbRequest(request);
+}
+
+/**
+ * Upload queued events in batches, with a heartbeat in every upload
+ * An upload is sent even with no events once the heartbeat is due, so the
+ * fleet dashboard can tell an idle kiosk from a dead one. Events are only
+ * deleted after the endpoint accepted them.
+ * @param {Object} options - { endpoint, kioskId, batchSize, heartbeatSeconds, heartbeat }
+ * @returns {Promise<Object>} { sent, error?, retryAt? }
+ */
+async function uploadTelemetry({ endpoint, kioskId, batchSize, heartbeatSeconds, heartbeat }) {
+  if (Date.now() < telemetryRetryAt) {
+    return { sent: 0, retryAt: telemetryRetryAt };
+  }
+  
+  const db = await openTelemetryDb();
+  let sent = 0;
+  
+  try {
+    while (true) {
+      const store = db.transaction(TELEMETRY_STORE).objectStore(TELEMETRY_STORE);
+      const queued = await idbRequest(store.count());
+      const events = await idbRequest(store.getAll(null, batchSize));
+      
+      const heartbeatDue = Date.now() - lastTelemetryUpload >= heartbeatSeconds * 1000;
+      if (events.length === 0 && !heartbeatDue) break;
+      
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          kioskId,
+          appVersion: CURRENT_VERSION,
+          sentAt: Date.now(),
+          heartbeat: { ...heartbeat, updateState: updateStatus.state, queued },
+          events
+        })
       });
+      
+      if (!response.ok) {
+        const error = new Error('Telemetry upload failed: ' + response.status);
+        error.retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+        throw error;
+      }
+      
+      if (events.length > 0) {
+        const lastId = events[events.length - 1].id;
+        await idbRequest(db.transaction(TELEMETRY_STORE, 'readwrite')
+          .objectStore(TELEMETRY_STORE)
+          .delete(IDBKeyRange.upperBound(lastId)));
+      }
+      
+      sent += events.length;
+      lastTelemetryUpload = Date.now();
+      telemetryFailures = 0;
+      
+      if (events.length < batchSize) break;
     }
+  } catch (error) {
+    telemetryFailures++;
+    const backoffMs = Math.min(TELEMETRY_RETRY_BASE_MS * Math.pow(2, telemetryFailures - 1), TELEMETRY_RETRY_MAX_MS);
+    telemetryRetryAt = Date.now() + Math.max(backoffMs, error.retryAfterMs || 0);
+    
+    console.warn('Telemetry upload failed, retrying after', new Date(telemetryRetryAt).toISOString(), error.message);
+    return { sent, error: error.message, retryAt: telemetryRetryAt };
+  } finally {
+    db.close();
+  }
+  
+  if (sent > 0) {
+    console.log('Uploaded', sent, 'telemetry events');
   }
+  return { sent };
+}
+
+/**
+ * Get the telemetry queue and upload state for diagnostics
+ * @returns {Promise<Object>} { queued, lastUpload, failures, retryAt }
+ */
+async function getTelemetryStatus() {
+  const status = { 
+    queued: null, 
+    lastUpload: lastTelemetryUpload || null, 
+    failures: telemetryFailures, 
+    retryAt: telemetryRetryAt > Date.now() ? telemetryRetryAt : null 
+  };
+  
+  try {
+    const db = await openTelemetryDb();
+    status.queued = await idbRequest(db.transaction(TELEMETRY_STORE).objectStore(TELEMETRY_STORE).count());
+    db.close();
+  } catch (error) {
+    console.warn('Failed to read telemetry queue:', error);
+  }
+  
+  return status;
+}
+
+/**
+ * Get the current cache name, version and size for diagnostics
+ * @returns {Promise<Object>} { cacheName, version, entries, bytes, previousVersion, pending, failedVersions, stagedVersion, update, telemetry }
+ */
+async function getCacheStatus() {
+  // The worker may have been restarted since install/activate
+  if (!CURRENT_VERSION) {
+    await initializeCacheName();
+  }
+  
+  const state = await loadCacheState();
+  const status = { 
+    cacheName: CACHE_NAME, 
+    version: CURRENT_VERSION, 
+    entries: 0, 
+    bytes: 0,
+    previousVersion: state.previous,
+    pending: state.pending,
+    failedVersions: state.failedVersions,
+    stagedVersion: state.staged,
+    update: await getUpdateStatus(),
+    telemetry: await getTelemetryStatus()
+  };
+  
+  try {
+    const cache = await caches.open(CACHE_NAME);
+    const requests = await cache.keys();
+    status.entries = requests.length;
+    
+    for (const request of requests) {
+      const response = await cache.match(request);
+      if (!response) continue;
+      
+      // Prefer Content-Length, fall back to reading the body
+      const length = parseInt(response.headers.get('Content-Length'), 10);
+      status.bytes += Number.isNaN(length) ? (await response.blob()).size : length;
+    }
+  } catch (error) {
+    console.warn('Failed to compute cache status:', error);
+  }
+  
+  return status;
+}
+
+// Request handlers, keyed by message type
+// Each receives the message and the event, and resolves to the reply's result
+const requestHandlers = {
+  [MessageType.GET_STATUS]: () => getCacheStatus(),
+  [MessageType.CHECK_FOR_UPDATE]: () => checkForUpdates(),
+  [MessageType.APPLY_UPDATE]: async (message, event) => {
+    const result = await applyUpdate();
+    
+    // Keep the worker alive long enough to check the new version boots
+    if (result.applied) event.waitUntil(scheduleHealthCheck());
+    return result;
+  },
+  [MessageType.CLEAR_CACHES]: () => clearAllCaches(),
+  [MessageType.BOOT_OK]: () => confirmBoot(),
+  [MessageType.BOOT_FAILED]: message => {
+    console.warn('Page reported a failed boot:', message.reason);
+    return rollbackCache(message.reason || 'boot failed', true);
+  },
+  [MessageType.FLUSH_TELEMETRY]: message => uploadTelemetry(message)
+};
+
+// Handle requests from pages, replying on the MessageChannel port if one was sent
+self.addEventListener('message', event => {
+  const message = event.data;
+  if (!message || !requestHandlers[message.type]) {
+    console.warn('Ignoring unknown message:', message && message.type);
+    return;
+  }
+  
+  const port = event.ports && event.ports[0];
+  
+  event.waitUntil(
+    Promise.resolve()
+      .then(() => requestHandlers[message.type](message, event))
+      .then(
+        result => port && port.postMessage({ type: message.type, ok: true, result }),
+        error => {
+          console.error('Request failed:', message.type, error);
+          port && port.postMessage({ type: message.type, ok: false, error: error.message });
+        }
+      )
+  );
 });
@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+/**
+ * Asset Manifest Generator
+ * Builds asset-manifest.json: every file the kiosk needs offline, with its size
+ * and SHA-256 hash. The service worker precaches exactly this list.
+ *
+ * Usage (from the repository root, after editing content or code):
+ *   node tools/generate-asset-manifest.js
+ *
+ * Kiosks only download a release whose version differs from theirs, so when any
+ * asset changed and version.json still has the previous manifest's version, a new
+ * version (the current UTC time, YYYYMMDDHHmmss) is written to version.json.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT_FILE = 'asset-manifest.json';
+
+// App shell files, always precached
+const CORE_FILES = [
+  'index.html',
+  'style.css',
+  'main.js',
+  'manifest.json',
+  'version.json',
+  'content.json',
+  'config.json'
+];
+
+// Attributes of index.html that reference files (the intro video, the default image)
+const SHELL_REFERENCE_PATTERN = /\s(?:src|poster|href)="([^"]+)"/g;
+
+// Content item fields that reference media files (a path, or a path per language)
+const MEDIA_FIELDS = ['media', 'poster', 'narration', 'captions'];
+
+/**
+ * Read and parse a JSON file from the repository root
+ * @param {string} file - Path relative to the repository root
+ * @returns {Object} Parsed JSON
+ */
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+/**
+ * Collect the file paths of a media field
+ * @param {string|Object} value - A path, or paths keyed by language
+ * @returns {Array<string>} Paths
+ */
+function getFieldPaths(value) {
+  if (typeof value === 'string') return [value];
+  if (!value || typeof value !== 'object') return [];
+  
+  return Object.values(value).filter(path => typeof path === 'string');
+}
+
+/**
+ * Collect the local files index.html references, so the app shell works offline
+ * whatever the content references
+ * @param {string} html - index.html source
+ * @returns {Array<string>} Paths relative to the repository root
+ */
+function collectShellMedia(html) {
+  return Array.from(html.matchAll(SHELL_REFERENCE_PATTERN), match => match[1])
+    .filter(url => !/^([a-z]+:|\/|#)/i.test(url));
+}
+
+/**
+ * Collect every media file referenced by the content (items, themes and intro captions)
+ * @param {Object} content - Parsed content.json
+ * @returns {Array<string>} Media paths relative to the repository root
+ */
+function collectContentMedia(content) {
+  const files = [];
+  
+  if (content.intro) {
+    files.push(...getFieldPaths(content.intro.captions));
+  }
+  
+  Object.values(content.decades || {}).forEach(entry => {
+    // A decade is either { items: [...] } or a single item
+    const items = entry && Array.isArray(entry.items) ? entry.items : [entry];
+    
+    items.forEach(item => {
+      MEDIA_FIELDS.forEach(field => {
+        if (item) {
+          files.push(...getFieldPaths(item[field]));
+        }
+      });
+    });
+    
+    // Era theme background image
+    if (entry && entry.theme && typeof entry.theme.backgroundImage === 'string') {
+      files.push(entry.theme.backgroundImage);
+    }
+  });
+  
+  return files;
+}
+
+/**
+ * Collect the era icons declared in the venue configuration
+ * @param {Object} config - Parsed config.json
+ * @returns {Array<string>} Icon paths relative to the repository root
+ */
+function collectConfigMedia(config) {
+  const definitions = config.eras && Array.isArray(config.eras.definitions) ? config.eras.definitions : [];
+  
+  return definitions
+    .filter(era => era && typeof era.icon === 'string')
+    .map(era => era.icon);
+}
+
+/**
+ * Describe a file for the manifest
+ * @param {string} file - Path relative to the repository root
+ * @returns {{url: string, size: number, sha256: string}} Manifest entry
+ */
+function describeFile(file) {
+  const data = fs.readFileSync(path.join(ROOT, file));
+  return {
+    url: file,
+    size: data.length,
+    sha256: crypto.createHash('sha256').update(data).digest('hex')
+  };
+}
+
+/**
+ * Read the manifest written by the previous run, if any
+ * @returns {Object|null} Previous manifest ({ version, assets })
+ */
+function readPreviousManifest() {
+  try {
+    return readJson(OUTPUT_FILE);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether any asset other than version.json was added, removed or changed
+ * @param {Array<Object>} previous - Assets of the previous manifest
+ * @param {Array<Object>} assets - Assets described now
+ * @returns {boolean} True if the release content differs
+ */
+function haveAssetsChanged(previous, assets) {
+  const fingerprint = list => list
+    .filter(asset => asset.url !== 'version.json')
+    .map(asset => `${asset.url} ${asset.sha256}`)
+    .sort()
+    .join('\n');
+  
+  return fingerprint(previous) !== fingerprint(assets);
+}
+
+/**
+ * Build a new release version from the current UTC time, later than the previous one
+ * @param {string} previousVersion - Version of the previous manifest
+ * @returns {string} Version (YYYYMMDDHHmmss)
+ */
+function createVersion(previousVersion) {
+  const version = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+  
+  // Clock behind the previous release: count on from it instead
+  if (/^\d{14}$/.test(previousVersion) && version <= previousVersion) {
+    return String(BigInt(previousVersion) + 1n);
+  }
+  return version;
+}
+
+/**
+ * Generate asset-manifest.json
+ */
+function main() {
+  let { version } = readJson('version.json');
+  const files = [...new Set([
+    ...CORE_FILES,
+    ...collectShellMedia(fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')),
+    ...collectContentMedia(readJson('content.json')),
+    ...collectConfigMedia(readJson('config.json'))
+  ])];
+  
+  const missing = files.filter(file => !fs.existsSync(path.join(ROOT, file)));
+  if (missing.length > 0) {
+    console.error('Missing files referenced by the app or content:', missing);
+    process.exit(1);
+  }
+  
+  // A changed release under an unchanged version would never reach the kiosks
+  const previous = readPreviousManifest();
+  if (previous && previous.version === version && haveAssetsChanged(previous.assets || [], files.map(describeFile))) {
+    version = createVersion(version);
+    fs.writeFileSync(path.join(ROOT, 'version.json'), JSON.stringify({ version }, null, 2) + '\n');
+    console.log(`Assets changed: version.json bumped to ${version}`);
+  }
+  
+  const assets = files.map(describeFile);
+  const manifest = { version, assets };
+  
+  fs.writeFileSync(path.join(ROOT, OUTPUT_FILE), JSON.stringify(manifest, null, 2) + '\n');
+  
+  const totalBytes = assets.reduce((sum, asset) => sum + asset.size, 0);
+  console.log(`Wrote ${OUTPUT_FILE}: ${assets.length} assets, ${totalBytes} bytes, version ${version}`);
+}
+
+main();
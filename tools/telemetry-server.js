@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Telemetry Stand-in Server
+ * Local replacement for the fleet telemetry endpoint. Prints every upload
+ * (heartbeat and events) and can simulate an unreliable endpoint to exercise
+ * the service worker's retry and backoff.
+ *
+ * Usage (from the repository root):
+ *   node tools/telemetry-server.js [--port 8787] [--fail-rate 0.5] [--retry-after 60] [--out telemetry.jsonl]
+ *
+ * Then point the kiosk at it in config.json:
+ *   "telemetry": { "enabled": true, "endpoint": "http://localhost:8787/events" }
+ *
+ * GET /stats returns the totals received so far, per kiosk.
+ */
+
+const fs = require('fs');
+const http = require('http');
+
+/**
+ * Parse --name value command line options
+ * @param {Array<string>} args - Command line arguments
+ * @returns {{port: number, failRate: number, retryAfter: number|null, out: string|null}} Options
+ */
+function parseOptions(args) {
+  const options = { port: 8787, failRate: 0, retryAfter: null, out: null };
+  
+  for (let i = 0; i < args.length; i += 2) {
+    const value = args[i + 1];
+    switch (args[i]) {
+      case '--port': options.port = parseInt(value, 10); break;
+      case '--fail-rate': options.failRate = parseFloat(value); break;
+      case '--retry-after': options.retryAfter = parseInt(value, 10); break;
+      case '--out': options.out = value; break;
+      default:
+        console.error('Unknown option:', args[i]);
+        process.exit(1);
+    }
+  }
+  
+  return options;
+}
+
+/**
+ * Send a response with CORS headers (the kiosk runs on another origin)
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body, or null for none
+ * @param {Object} headers - Extra headers
+ */
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    ...(body ? { 'Content-Type': 'application/json' } : {}),
+    ...headers
+  });
+  res.end(body ? JSON.stringify(body) : undefined);
+}
+
+/**
+ * Log one upload and add it to the totals
+ * @param {Object} upload - { kioskId, appVersion, sentAt, heartbeat, events }
+ * @param {Object} stats - Totals per kiosk, updated in place
+ * @param {string|null} out - File to append events to (JSON lines), if any
+ */
+function recordUpload(upload, stats, out) {
+  const events = Array.isArray(upload.events) ? upload.events : [];
+  const kiosk = stats[upload.kioskId] || (stats[upload.kioskId] = { uploads: 0, events: 0, byType: {}, lastHeartbeat: null });
+  
+  kiosk.uploads++;
+  kiosk.events += events.length;
+  kiosk.lastHeartbeat = { receivedAt: new Date().toISOString(), appVersion: upload.appVersion, ...upload.heartbeat };
+  events.forEach(event => {
+    kiosk.byType[event.type] = (kiosk.byType[event.type] || 0) + 1;
+  });
+  
+  const heartbeat = upload.heartbeat || {};
+  console.log(`[${new Date().toLocaleTimeString()}] ${upload.kioskId} v${upload.appVersion}` +
+    ` ${heartbeat.screen || '?'}, up ${heartbeat.uptimeSeconds}s, ${heartbeat.queued} queued: ${events.length} events`);
+  events.forEach(event => console.log('   ', event.type, JSON.stringify(event.data)));
+  
+  if (out && events.length > 0) {
+    const lines = events.map(event => JSON.stringify({ kioskId: upload.kioskId, ...event })).join('\n') + '\n';
+    fs.appendFileSync(out, lines);
+  }
+}
+
+/**
+ * Start the server
+ */
+function main() {
+  const options = parseOptions(process.argv.slice(2));
+  const stats = {};
+  
+  const server = http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+      send(res, 204, null);
+      return;
+    }
+    
+    if (req.method === 'GET' && req.url === '/stats') {
+      send(res, 200, stats);
+      return;
+    }
+    
+    if (req.method !== 'POST' || req.url !== '/events') {
+      send(res, 404, { error: 'Not found' });
+      return;
+    }
+    
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (Math.random() < options.failRate) {
+        console.log(`[${new Date().toLocaleTimeString()}] Simulated failure (503)`);
+        send(res, 503, { error: 'Simulated failure' }, options.retryAfter ? { 'Retry-After': String(options.retryAfter) } : {});
+        return;
+      }
+      
+      try {
+        const upload = JSON.parse(body);
+        recordUpload(upload, stats, options.out);
+        send(res, 200, { received: Array.isArray(upload.events) ? upload.events.length : 0 });
+      } catch (error) {
+        console.warn('Rejected malformed upload:', error.message);
+        send(res, 400, { error: 'Malformed JSON' });
+      }
+    });
+  });
+  
+  server.listen(options.port, () => {
+    console.log(`Telemetry stand-in listening on http://localhost:${options.port}/events` +
+      (options.failRate ? ` (failing ${Math.round(options.failRate * 100)}% of uploads)` : ''));
+  });
+}
+
+main();